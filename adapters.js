@@ -0,0 +1,506 @@
+// LLM provider adapters
+// The agent keeps its conversation in OpenAI chat-completions format
+// ({ role, content, tool_calls, tool_call_id }). Each adapter converts that
+// format and the registry's tool list into its provider's request, and turns
+// responses (whole or streamed) back into { output, toolCalls, usage }.
+// Adapters are pure: they never fetch, so recorded responses can be replayed
+// through parseResponse() or createStreamAccumulator() without a network.
+// Adapters with structuredOutput: true accept a responseSchema that makes the
+// model reply with JSON matching it (see structured.js).
+
+const parseArguments = (args) => {
+    try {
+        return args ? JSON.parse(args) : {};
+    } catch {
+        return {};
+    }
+};
+
+const generateCallId = () => `call_${Math.random().toString(36).slice(2, 12)}`;
+
+// Append a message, merging it into the previous one when the roles repeat.
+// Anthropic and Gemini both expect user/assistant turns to alternate.
+function pushMerged(list, message, key) {
+    const last = list[list.length - 1];
+    if (last && last.role === message.role) {
+        last[key] = [...last[key], ...message[key]];
+    } else {
+        list.push(message);
+    }
+}
+
+// ---------------------------------------------------------------------------
+// OpenAI chat completions (also AI Pipe, OpenRouter, Ollama, llama.cpp, ...)
+// ---------------------------------------------------------------------------
+export const openaiAdapter = {
+    structuredOutput: true,
+
+    authHeaders(apiKey) {
+        return apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+    },
+
+    buildRequest({ baseUrl, headers, model, messages, tools = [], temperature = 0.7, maxTokens = 2000, stream = true, responseSchema = null, extraBody = {} }) {
+        return {
+            url: `${baseUrl}/chat/completions`,
+            init: {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model,
+                    // The synthetic flag on plan step prompts is for the UI only
+                    messages: messages.map(({ synthetic, ...message }) => message),
+                    ...(tools.length && {
+                        tools: tools.map(({ name, description, parameters }) => ({
+                            type: "function",
+                            function: { name, description, parameters }
+                        })),
+                        tool_choice: "auto"
+                    }),
+                    ...(responseSchema && {
+                        response_format: {
+                            type: "json_schema",
+                            json_schema: { name: "response", schema: responseSchema }
+                        }
+                    }),
+                    temperature,
+                    max_tokens: maxTokens,
+                    ...(stream && { stream: true, stream_options: { include_usage: true } }),
+                    ...extraBody
+                })
+            }
+        };
+    },
+
+    parseResponse(data) {
+        const message = data.choices?.[0]?.message || {};
+        return {
+            output: message.content || "",
+            toolCalls: message.tool_calls || [],
+            usage: data.usage || null
+        };
+    },
+
+    // Merge tool call deltas by index; returns each chunk's text delta
+    createStreamAccumulator() {
+        let output = "";
+        let usage = null;
+        const toolCalls = [];
+
+        return {
+            push(chunk) {
+                if (chunk.error) {
+                    throw new Error(chunk.error.message || 'Stream error');
+                }
+
+                // Token usage arrives in the final chunk, which has no choices
+                if (chunk.usage) usage = chunk.usage;
+
+                const delta = chunk.choices?.[0]?.delta;
+                if (!delta) return "";
+
+                for (const toolCallDelta of delta.tool_calls || []) {
+                    const toolCall = toolCalls[toolCallDelta.index] ??= {
+                        id: '',
+                        type: 'function',
+                        function: { name: '', arguments: '' }
+                    };
+                    if (toolCallDelta.id) toolCall.id = toolCallDelta.id;
+                    if (toolCallDelta.function?.name) toolCall.function.name += toolCallDelta.function.name;
+                    if (toolCallDelta.function?.arguments) toolCall.function.arguments += toolCallDelta.function.arguments;
+                }
+
+                output += delta.content || "";
+                return delta.content || "";
+            },
+
+            finish() {
+                return { output, toolCalls: toolCalls.filter(Boolean), usage };
+            }
+        };
+    },
+
+    parseModels(data) {
+        return (data.data || []).map(model => model.id);
+    }
+};
+
+// ---------------------------------------------------------------------------
+// Anthropic Messages API: tool_use / tool_result content blocks
+// ---------------------------------------------------------------------------
+export function toAnthropicMessages(messages) {
+    const system = [];
+    const converted = [];
+
+    for (const message of messages) {
+        if (message.role === 'system') {
+            system.push(message.content);
+        } else if (message.role === 'user') {
+            // Anthropic rejects empty text blocks
+            if (message.content) {
+                pushMerged(converted, { role: 'user', content: [{ type: 'text', text: message.content }] }, 'content');
+            }
+        } else if (message.role === 'assistant') {
+            const content = [];
+            if (message.content) {
+                content.push({ type: 'text', text: message.content });
+            }
+            for (const toolCall of message.tool_calls || []) {
+                content.push({
+                    type: 'tool_use',
+                    id: toolCall.id,
+                    name: toolCall.function.name,
+                    input: parseArguments(toolCall.function.arguments)
+                });
+            }
+            if (content.length) {
+                pushMerged(converted, { role: 'assistant', content }, 'content');
+            }
+        } else if (message.role === 'tool') {
+            const isError = (() => {
+                try {
+                    return Boolean(JSON.parse(message.content)?.error);
+                } catch {
+                    return false;
+                }
+            })();
+            pushMerged(converted, {
+                role: 'user',
+                content: [{
+                    type: 'tool_result',
+                    tool_use_id: message.tool_call_id,
+                    content: message.content,
+                    ...(isError && { is_error: true })
+                }]
+            }, 'content');
+        }
+    }
+
+    return { system: system.join('\n\n'), messages: converted };
+}
+
+export const anthropicAdapter = {
+    // No JSON schema response mode; structured.js validates and repairs instead
+    structuredOutput: false,
+
+    authHeaders(apiKey) {
+        return {
+            ...(apiKey && { 'x-api-key': apiKey }),
+            'anthropic-version': '2023-06-01',
+            'anthropic-dangerous-direct-browser-access': 'true'
+        };
+    },
+
+    buildRequest({ baseUrl, headers, model, messages, tools = [], temperature = 0.7, maxTokens = 2000, stream = true, extraBody = {} }) {
+        const { system, messages: converted } = toAnthropicMessages(messages);
+
+        return {
+            url: `${baseUrl}/messages`,
+            init: {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model,
+                    ...(system && { system }),
+                    messages: converted,
+                    ...(tools.length && {
+                        tools: tools.map(({ name, description, parameters }) => ({
+                            name,
+                            description,
+                            input_schema: parameters
+                        }))
+                    }),
+                    temperature,
+                    max_tokens: maxTokens,
+                    ...(stream && { stream: true }),
+                    ...extraBody
+                })
+            }
+        };
+    },
+
+    parseResponse(data) {
+        let output = "";
+        const toolCalls = [];
+
+        for (const block of data.content || []) {
+            if (block.type === 'text') {
+                output += block.text;
+            } else if (block.type === 'tool_use') {
+                toolCalls.push({
+                    id: block.id,
+                    type: 'function',
+                    function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+                });
+            }
+        }
+
+        return { output, toolCalls, usage: anthropicUsage(data.usage) };
+    },
+
+    // Events: message_start, content_block_start/delta/stop, message_delta
+    createStreamAccumulator() {
+        let output = "";
+        let inputTokens = 0;
+        let outputTokens = 0;
+        const toolCalls = new Map();
+
+        return {
+            push(event) {
+                switch (event.type) {
+                    case 'message_start':
+                        inputTokens = event.message?.usage?.input_tokens || 0;
+                        outputTokens = event.message?.usage?.output_tokens || 0;
+                        return "";
+                    case 'content_block_start':
+                        if (event.content_block?.type === 'tool_use') {
+                            toolCalls.set(event.index, {
+                                id: event.content_block.id,
+                                type: 'function',
+                                function: { name: event.content_block.name, arguments: '' }
+                            });
+                        } else if (event.content_block?.type === 'text' && event.content_block.text) {
+                            output += event.content_block.text;
+                            return event.content_block.text;
+                        }
+                        return "";
+                    case 'content_block_delta':
+                        if (event.delta?.type === 'text_delta') {
+                            output += event.delta.text;
+                            return event.delta.text;
+                        }
+                        if (event.delta?.type === 'input_json_delta') {
+                            toolCalls.get(event.index).function.arguments += event.delta.partial_json;
+                        }
+                        return "";
+                    case 'message_delta':
+                        outputTokens = event.usage?.output_tokens ?? outputTokens;
+                        return "";
+                    case 'error':
+                        throw new Error(event.error?.message || 'Stream error');
+                    default:
+                        return "";
+                }
+            },
+
+            finish() {
+                const calls = [...toolCalls.values()].map(toolCall => {
+                    toolCall.function.arguments ||= '{}';
+                    return toolCall;
+                });
+                return {
+                    output,
+                    toolCalls: calls,
+                    usage: anthropicUsage({ input_tokens: inputTokens, output_tokens: outputTokens })
+                };
+            }
+        };
+    },
+
+    parseModels(data) {
+        return (data.data || []).map(model => model.id);
+    }
+};
+
+function anthropicUsage(usage) {
+    if (!usage) return null;
+    const prompt = usage.input_tokens || 0;
+    const completion = usage.output_tokens || 0;
+    return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+// ---------------------------------------------------------------------------
+// Google Gemini generateContent: functionDeclarations / functionCall parts
+// ---------------------------------------------------------------------------
+
+// Gemini accepts an OpenAPI subset of JSON Schema; drop everything else.
+// It takes a single type, so ['string', 'null'] becomes a nullable string.
+const GEMINI_SCHEMA_KEYS = ['type', 'format', 'description', 'nullable', 'enum', 'properties', 'required', 'items', 'minimum', 'maximum', 'minItems', 'maxItems'];
+
+export function toGeminiSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+
+    const result = {};
+    for (const key of GEMINI_SCHEMA_KEYS) {
+        if (!(key in schema)) continue;
+        if (key === 'properties') {
+            result.properties = Object.fromEntries(
+                Object.entries(schema.properties).map(([name, prop]) => [name, toGeminiSchema(prop)])
+            );
+        } else if (key === 'items') {
+            result.items = toGeminiSchema(schema.items);
+        } else if (key === 'type' && Array.isArray(schema.type)) {
+            const types = schema.type.filter(type => type !== 'null');
+            if (types.length) result.type = types[0];
+            if (types.length < schema.type.length) result.nullable = true;
+        } else {
+            result[key] = schema[key];
+        }
+    }
+    return result;
+}
+
+export function toGeminiContents(messages) {
+    const system = [];
+    const contents = [];
+    const toolNames = {};
+
+    for (const message of messages) {
+        if (message.role === 'system') {
+            system.push({ text: message.content });
+        } else if (message.role === 'user') {
+            if (message.content) {
+                pushMerged(contents, { role: 'user', parts: [{ text: message.content }] }, 'parts');
+            }
+        } else if (message.role === 'assistant') {
+            const parts = [];
+            if (message.content) {
+                parts.push({ text: message.content });
+            }
+            for (const toolCall of message.tool_calls || []) {
+                toolNames[toolCall.id] = toolCall.function.name;
+                parts.push({
+                    functionCall: {
+                        name: toolCall.function.name,
+                        args: parseArguments(toolCall.function.arguments)
+                    }
+                });
+            }
+            if (parts.length) {
+                pushMerged(contents, { role: 'model', parts }, 'parts');
+            }
+        } else if (message.role === 'tool') {
+            let response;
+            try {
+                response = JSON.parse(message.content);
+            } catch {
+                response = message.content;
+            }
+            // functionResponse.response must be an object
+            if (response === null || typeof response !== 'object' || Array.isArray(response)) {
+                response = { result: response };
+            }
+            pushMerged(contents, {
+                role: 'user',
+                parts: [{ functionResponse: { name: toolNames[message.tool_call_id] || 'unknown', response } }]
+            }, 'parts');
+        }
+    }
+
+    return {
+        ...(system.length && { systemInstruction: { parts: system } }),
+        contents
+    };
+}
+
+export const geminiAdapter = {
+    structuredOutput: true,
+
+    authHeaders(apiKey) {
+        return apiKey ? { 'x-goog-api-key': apiKey } : {};
+    },
+
+    buildRequest({ baseUrl, headers, model, messages, tools = [], temperature = 0.7, maxTokens = 2000, stream = true, responseSchema = null, extraBody = {} }) {
+        const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+
+        return {
+            url: `${baseUrl}/models/${encodeURIComponent(model)}:${method}`,
+            init: {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    ...toGeminiContents(messages),
+                    ...(tools.length && {
+                        tools: [{
+                            functionDeclarations: tools.map(({ name, description, parameters }) => ({
+                                name,
+                                description,
+                                parameters: toGeminiSchema(parameters)
+                            }))
+                        }]
+                    }),
+                    generationConfig: {
+                        temperature,
+                        maxOutputTokens: maxTokens,
+                        ...(responseSchema && {
+                            responseMimeType: 'application/json',
+                            responseSchema: toGeminiSchema(responseSchema)
+                        })
+                    },
+                    ...extraBody
+                })
+            }
+        };
+    },
+
+    parseResponse(data) {
+        const accumulator = geminiAdapter.createStreamAccumulator();
+        accumulator.push(data);
+        return accumulator.finish();
+    },
+
+    // Each streamed chunk is a partial GenerateContentResponse
+    createStreamAccumulator() {
+        let output = "";
+        let usage = null;
+        const toolCalls = [];
+
+        return {
+            push(chunk) {
+                if (chunk.error) {
+                    throw new Error(chunk.error.message || 'Stream error');
+                }
+
+                if (chunk.usageMetadata) {
+                    usage = {
+                        prompt_tokens: chunk.usageMetadata.promptTokenCount || 0,
+                        completion_tokens: chunk.usageMetadata.candidatesTokenCount || 0,
+                        total_tokens: chunk.usageMetadata.totalTokenCount || 0
+                    };
+                }
+
+                let text = "";
+                for (const part of chunk.candidates?.[0]?.content?.parts || []) {
+                    if (part.text && !part.thought) {
+                        text += part.text;
+                    } else if (part.functionCall) {
+                        toolCalls.push({
+                            id: part.functionCall.id || generateCallId(),
+                            type: 'function',
+                            function: {
+                                name: part.functionCall.name,
+                                arguments: JSON.stringify(part.functionCall.args || {})
+                            }
+                        });
+                    }
+                }
+
+                output += text;
+                return text;
+            },
+
+            finish() {
+                return { output, toolCalls, usage };
+            }
+        };
+    },
+
+    parseModels(data) {
+        return (data.models || [])
+            .filter(model => !model.supportedGenerationMethods || model.supportedGenerationMethods.includes('generateContent'))
+            .map(model => model.name.replace(/^models\//, ''));
+    }
+};
+
+export const ADAPTERS = {
+    openai: openaiAdapter,
+    anthropic: anthropicAdapter,
+    gemini: geminiAdapter
+};
+
+export function getAdapter(api = 'openai') {
+    const adapter = ADAPTERS[api];
+    if (!adapter) {
+        throw new Error(`Unknown provider API: ${api}`);
+    }
+    return adapter;
+}
@@ -0,0 +1,95 @@
+// Source tracking for inline citations
+// Search and fetch results get a `source_id` that the model cites as [n].
+// IDs are per conversation: the same URL keeps its number across turns, and
+// the registry can be rebuilt from a saved transcript's tool messages.
+
+// [1] or [1, 2] in answer text
+export const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+const isWebUrl = (url) => {
+    try {
+        const { protocol } = new URL(url);
+        return protocol === 'http:' || protocol === 'https:';
+    } catch {
+        return false;
+    }
+};
+
+export class SourceRegistry {
+    constructor() {
+        this.sources = new Map(); // id -> { id, url, title, snippet }
+        this.ids = new Map();     // url -> id
+    }
+
+    // Register a source, or update the title/snippet of a known URL. Returns its id.
+    add({ url, title = '', snippet = '' }) {
+        if (!isWebUrl(url)) return null;
+
+        let id = this.ids.get(url);
+        if (id === undefined) {
+            id = Math.max(0, ...this.sources.keys()) + 1;
+            this.ids.set(url, id);
+            this.sources.set(id, { id, url, title, snippet });
+        } else {
+            const source = this.sources.get(id);
+            source.title ||= title;
+            source.snippet ||= snippet;
+        }
+        return id;
+    }
+
+    get(id) {
+        return this.sources.get(Number(id));
+    }
+
+    // Add source_id to search results ({ results: [{ link }] }) and fetched
+    // pages ({ url, content }). Returns the ids found, in order.
+    annotate(result) {
+        const found = [];
+        if (!result || typeof result !== 'object') return found;
+
+        if (Array.isArray(result.results)) {
+            for (const item of result.results) {
+                const id = this.add({ url: item?.link ?? item?.url, title: item?.title, snippet: item?.snippet });
+                if (id) {
+                    item.source_id = id;
+                    found.push(id);
+                }
+            }
+        } else if (typeof result.url === 'string') {
+            const id = this.add({ url: result.url, title: result.title, snippet: result.content?.slice(0, 200) });
+            if (id) {
+                result.source_id = id;
+                found.push(id);
+            }
+        }
+        return found;
+    }
+
+    // Rebuild from the source_ids recorded in a transcript's tool results
+    static fromMessages(messages) {
+        const registry = new SourceRegistry();
+        const restore = (url, id, title, snippet) => {
+            if (!isWebUrl(url) || !Number.isInteger(id) || registry.sources.has(id)) return;
+            registry.ids.set(url, id);
+            registry.sources.set(id, { id, url, title: title || '', snippet: snippet || '' });
+        };
+
+        for (const message of messages) {
+            if (message.role !== 'tool') continue;
+
+            let result;
+            try {
+                result = JSON.parse(message.content);
+            } catch {
+                continue;
+            }
+            if (Array.isArray(result?.results)) {
+                result.results.forEach(item => restore(item?.link ?? item?.url, item?.source_id, item?.title, item?.snippet));
+            } else if (typeof result?.url === 'string') {
+                restore(result.url, result.source_id, result.title, result.content?.slice(0, 200));
+            }
+        }
+        return registry;
+    }
+}
@@ -0,0 +1,882 @@
+// Headless agent core: the agent loop without any DOM
+// AgentCore calls the model, runs tools, enforces budgets and reports what
+// happens as events, so it runs the same in Node, a worker or a page.
+// LLMAgent (agent.js) extends it with the chat UI. Events (DetailEvent detail):
+// - 'message'     { message, queued } for every message added to the conversation;
+//                 queued marks user messages sent while the run was paused
+// - 'delta'       { delta, content, display } as model text streams in
+// - 'thinking'    { message } status text while the agent works
+// - 'tool-start'  { toolCalls } before a batch of tool calls runs
+// - 'tool-progress' { toolCall, status: 'running' | 'paused' }
+// - 'tool-result' { toolCall, result }
+// - 'subagent-start' { toolCall, subAgent, scope } / 'subagent-done' { toolCall }
+// - 'structured'  { index, structured } for a schema-checked final answer
+// - 'stopped'     { reason: 'user' | 'budget', exceeded? }
+// - 'state'       { state, previous } from the turn's AgentRun
+// - 'done'        the result of run()
+// - 'error'       { error } when a turn fails or is cancelled
+
+import { ToolRegistry, BUILTIN_TOOLS } from "./tools.js";
+import { runInSandbox, DEFAULT_JS_TIMEOUT } from "./sandbox.js";
+import { ProviderManager, APIConnector } from "./integration.js";
+import { fetchWithRetry, ensureOk } from "./http.js";
+import { AgentRun, RUN_STATES } from "./run-state.js";
+import { DetailEvent } from "./events.js";
+import { SourceRegistry } from "./citations.js";
+import { SubAgent, SUB_AGENTS } from "./subagents.js";
+import { DocumentStore } from "./documents.js";
+import { parseDataset, describeDataset } from "./data.js";
+import { MAX_REPAIRS, structuringMessages, checkStructuredReply, repairPrompt } from "./structured.js";
+import { WorkflowLibrary, workflowTool, workflowRequest, workflowResult } from "./workflows.js";
+
+// System prompt for the agent, with the tool list generated from the registry
+// and a description of any uploaded CSV/JSON datasets
+export const buildSystemPrompt = (toolList, datasets = '') => `You are an advanced LLM agent with multi-tool reasoning capabilities. Your goal is to help users by:
+
+1. **Understanding the user's request** completely
+2. **Planning the approach** - decide which tools to use and in what order
+3. **Executing tool calls** as needed to gather information or perform tasks
+4. **Synthesizing results** into a comprehensive response
+
+## Core Agent Loop Logic:
+- Take user input
+- Analyze what tools are needed
+- Execute tool calls to gather data/perform tasks
+- Continue with additional tools if needed
+- Provide final synthesized answer
+
+## Available Tools:
+${toolList}
+
+${datasets ? `## Uploaded Data Files (available to analyze_data as datasets[name]):
+${datasets}
+
+` : ''}## Guidelines:
+- Use tools strategically to provide comprehensive answers
+- Execute code to demonstrate concepts when helpful
+- Search for current information when needed
+- Combine multiple tools for complex tasks
+- Always explain your reasoning process
+- Be thorough but concise in responses
+
+## Citations:
+- Search and fetch results carry a \`source_id\`
+- When a statement relies on a source, cite it inline right after the statement as [source_id], e.g. "The release shipped in July [3]." Cite several as [1, 4]
+- Only cite IDs you were given; never invent IDs or replace citations with bare URLs
+
+## Tool Usage Examples:
+- For current events: Use google_search
+- To read a source in full: Use fetch_url on a result link
+- For questions about files the user uploaded: Use search_documents and mention the file and page
+- For calculations/demos: Use execute_javascript
+- To analyze or chart uploaded CSV/JSON files: Use analyze_data and return table(...) or chart(...)
+- For analysis, summarization, generation, classification or a workflow the user defined: Use ai_pipe_workflow with the matching workflow_type
+- For self-contained research, coding or review tasks: Use run_subagent with researcher, coder or critic
+- For complex research: Combine multiple tools
+
+Remember: You can use multiple tools in sequence. Always think through what information you need and use the appropriate tools to gather it.`;
+
+// Default approval policy per tool: 'allow', 'ask' or 'deny'.
+// Tools not listed here (including custom ones) default to 'ask'.
+export const DEFAULT_TOOL_POLICIES = {
+    google_search: 'allow',
+    fetch_url: 'allow',
+    search_documents: 'allow',
+    ai_pipe_workflow: 'allow',
+    execute_javascript: 'ask',
+    analyze_data: 'ask',
+    run_subagent: 'allow'
+};
+
+// Approximate USD prices per 1M tokens, used for the per-turn cost ceiling
+const MODEL_PRICING = {
+    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+    'gpt-4o': { input: 2.50, output: 10.00 },
+    'gpt-4': { input: 30.00, output: 60.00 },
+    'gpt-3.5-turbo': { input: 0.50, output: 1.50 },
+    'claude-3-5-haiku-latest': { input: 0.80, output: 4.00 },
+    'claude-3-5-sonnet-latest': { input: 3.00, output: 15.00 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+    'gemini-1.5-pro': { input: 1.25, output: 5.00 }
+};
+
+// Models missing from the table are priced like the most expensive entry, so
+// the cost limit still stops runs on OpenRouter ids and unknown models
+const FALLBACK_PRICING = Object.values(MODEL_PRICING)
+    .reduce((max, price) => price.input + price.output > max.input + max.output ? price : max);
+
+const warnedUnpricedModels = new Set();
+
+// Looks up a model's price, ignoring a provider prefix ("openai/gpt-4o") and
+// a release date ("claude-3-5-sonnet-20241022" matches the -latest entry)
+function modelPricing(model) {
+    const name = String(model || '').split('/').pop().replace(/:.*$/, '');
+    const undated = name.replace(/-\d{4}-?\d{2}-?\d{2}$/, '');
+    const pricing = MODEL_PRICING[name] || MODEL_PRICING[undated] || MODEL_PRICING[`${undated}-latest`];
+    if (pricing) return pricing;
+
+    if (!warnedUnpricedModels.has(model)) {
+        warnedUnpricedModels.add(model);
+        console.warn(`No price known for model "${model}"; estimating cost at $${FALLBACK_PRICING.input}/$${FALLBACK_PRICING.output} per 1M input/output tokens`);
+    }
+    return FALLBACK_PRICING;
+}
+
+// Per user turn: LLM round-trips, total tokens and estimated cost in USD
+export const DEFAULT_LIMITS = {
+    maxSteps: 10,
+    maxTokens: 50000,
+    maxCost: 0.25
+};
+
+// Parse a Server-Sent Events response body into JSON chunks. A last line
+// without a trailing newline still counts; data lines that aren't JSON
+// (keep-alive pings from some proxies) are skipped.
+// Aborting the request's signal rejects the pending read with an AbortError.
+export async function* readEventStream(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    // Returns the parsed chunk, null to skip the line, or DONE
+    const DONE = Symbol('done');
+    const parseLine = (line) => {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith("data:")) return null;
+
+        const data = trimmed.slice(5).trim();
+        if (data === "[DONE]") return DONE;
+        try {
+            return JSON.parse(data);
+        } catch {
+            return null;
+        }
+    };
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+            const lines = buffer.split("\n");
+            buffer = done ? "" : lines.pop();
+
+            for (const line of lines) {
+                const chunk = parseLine(line);
+                if (chunk === DONE) return;
+                if (chunk !== null) yield chunk;
+            }
+            if (done) break;
+        }
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+export class AgentCore extends EventTarget {
+    // options: { providers, connector, model, limits, toolPolicies, approve, autoApprove, documentStore }.
+    // approve(toolCall) decides calls whose policy is 'ask'. Without it they
+    // are rejected unless autoApprove is true.
+    constructor({
+        providers = new ProviderManager(),
+        connector = new APIConnector(),
+        model = 'gpt-4o-mini',
+        limits = {},
+        toolPolicies = {},
+        approve = null,
+        autoApprove = false,
+        // Uploaded documents live in IndexedDB, which Node doesn't have
+        documentStore = typeof indexedDB === 'undefined' ? null : new DocumentStore()
+    } = {}) {
+        super();
+        this.messages = [];
+        this.activeRun = null;
+        this.providers = providers;
+        this.connector = connector;
+        this.sources = new SourceRegistry();
+        this.turnSources = new Set();
+        this.model = model;
+        this.jsTimeout = DEFAULT_JS_TIMEOUT;
+        this.toolConcurrency = 4;
+        this.limits = { ...DEFAULT_LIMITS, ...limits };
+        this.turnUsage = null;
+        this.documentStore = documentStore;
+        this.useEmbeddings = false;
+        this.datasetCache = new Map(); // document id -> parsed rows
+        this.outputSchema = null; // JSON Schema for structured final answers
+        this.structuredOutputs = {}; // assistant message index -> structured output
+        this.turnRequest = null;
+        this.toolPolicies = toolPolicies;
+        this.approve = approve;
+        this.autoApprove = autoApprove;
+        this.toolRegistry = new ToolRegistry();
+        this.workflows = new WorkflowLibrary();
+        this.workflows.addEventListener('change', () => this.registerWorkflowTool());
+
+        this.registerBuiltinTools();
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new DetailEvent(type, detail));
+    }
+
+    registerBuiltinTools() {
+        const handlers = {
+            google_search: (params) => this.googleSearch(params),
+            fetch_url: (params) => this.fetchUrl(params),
+            search_documents: (params) => this.searchDocuments(params),
+            ai_pipe_workflow: (params) => this.aiPipeWorkflow(params),
+            execute_javascript: (params) => this.executeJavaScript(params),
+            analyze_data: (params) => this.analyzeData(params),
+            run_subagent: (params, context) => this.runSubAgent(params, context)
+        };
+
+        BUILTIN_TOOLS.forEach(tool => this.registerTool({ ...tool, handler: handlers[tool.name] }));
+    }
+
+    // Register a tool: { name, description, parameters, handler(params, context) }
+    registerTool(tool) {
+        this.toolRegistry.register(tool);
+        return this;
+    }
+
+    unregisterTool(name) {
+        return this.toolRegistry.unregister(name);
+    }
+
+    // Keep the ai_pipe_workflow enum in step with the workflow library
+    registerWorkflowTool() {
+        const tool = this.toolRegistry.get('ai_pipe_workflow');
+        if (tool) this.registerTool({ ...workflowTool(this.workflows.list()), handler: tool.handler });
+    }
+
+    getToolPolicy(name) {
+        return this.toolPolicies[name] || DEFAULT_TOOL_POLICIES[name] || 'ask';
+    }
+
+    setToolPolicy(name, policy) {
+        this.toolPolicies[name] = policy;
+    }
+
+    // Run one user turn to its final answer without any UI. Resolves
+    // { answer, structured, stopped, trace, usage }: trace holds the turn's
+    // messages (user input, tool calls, tool results and the answer) and
+    // stopped says why a turn ended without an answer. Aborting signal
+    // cancels the turn and rejects with an AbortError.
+    async run(prompt, { signal } = {}) {
+        if (this.activeRun) {
+            throw new Error('The agent is already running');
+        }
+
+        const start = this.messages.length;
+        let stopped = null;
+        const onStopped = ({ detail }) => {
+            stopped = detail;
+        };
+        this.addEventListener('stopped', onStopped);
+
+        let answer;
+        try {
+            answer = await this.runTurn(() => this.agentLoop(prompt), { signal });
+        } finally {
+            this.removeEventListener('stopped', onStopped);
+        }
+
+        const result = {
+            answer: answer?.output ?? null,
+            structured: answer?.structured ?? null,
+            stopped,
+            trace: this.messages.slice(start),
+            usage: { ...this.turnUsage }
+        };
+        this.emit('done', result);
+        return result;
+    }
+
+    // Run agent work inside a fresh AgentRun; signal cancels it
+    async runTurn(task, { signal } = {}) {
+        const run = new AgentRun();
+        this.activeRun = run;
+        run.addEventListener('statechange', ({ detail }) => this.emit('state', detail));
+
+        const cancel = () => run.cancel();
+        if (signal?.aborted) cancel();
+        signal?.addEventListener('abort', cancel, { once: true });
+
+        try {
+            return await task();
+        } catch (error) {
+            this.emit('error', { error });
+            throw error;
+        } finally {
+            signal?.removeEventListener('abort', cancel);
+            run.finish();
+            this.activeRun = null;
+        }
+    }
+
+    addToConversation(message, { queued = false } = {}) {
+        this.messages.push(message);
+        this.emit('message', { message, queued });
+    }
+
+    // Core Agent Loop - implements the Python loop logic
+    async agentLoop(userInput) {
+        // Append user input to the running conversation
+        this.addToConversation({ role: "user", content: userInput });
+        this.turnRequest = userInput;
+        this.startTurn();
+
+        return this.finishTurn();
+    }
+
+    // Budgets and the sources panel apply per user turn
+    startTurn() {
+        this.turnUsage = { steps: 0, totalTokens: 0, cost: 0, allowUntilStep: 0 };
+        this.turnSources = new Set();
+    }
+
+    // Runs LLM calls and tools until the model answers without tool calls.
+    // Returns { output } with that answer, or null if the user stopped the
+    // run or a budget limit was reached.
+    async runLoop() {
+        while (true) {
+            // Wait here while paused; throws an AbortError once cancelled
+            await this.activeRun.checkpoint();
+
+            // Messages sent while paused go in before the next LLM call,
+            // after any tool results from the interrupted step
+            for (const content of this.activeRun.takePendingMessages()) {
+                this.addToConversation({ role: "user", content }, { queued: true });
+            }
+
+            if (this.activeRun.stopRequested) {
+                this.emit('stopped', { reason: 'user' });
+                return null;
+            }
+
+            // Stop cleanly once a budget is used up; the user may allow more steps
+            const exceeded = this.checkBudget();
+            if (exceeded) {
+                this.emit('stopped', { reason: 'budget', exceeded });
+                return null;
+            }
+
+            // Get LLM response with possible tool calls
+            this.emit('thinking', { message: "Agent is analyzing your request..." });
+            const signal = this.activeRun.beginStep(RUN_STATES.CALLING_LLM);
+            let response;
+            try {
+                response = await this.callLLM([
+                    { role: "system", content: buildSystemPrompt(this.toolRegistry.describe(), await this.describeDatasets()) },
+                    ...this.messages
+                ]);
+            } catch (error) {
+                // Pausing aborts the request; it is sent again after resume
+                if (this.activeRun.isPauseInterruption(signal)) continue;
+                throw error;
+            }
+            const { output, toolCalls, usage } = response;
+            this.recordUsage(usage);
+
+            // If no tool calls, this is the answer and the turn ends
+            if (!toolCalls || toolCalls.length === 0) {
+                this.addToConversation({ role: "assistant", content: output });
+                return { output };
+            }
+
+            // Execute tool calls
+            this.emit('thinking', { message: "Executing tools..." });
+            this.activeRun.beginStep(RUN_STATES.RUNNING_TOOLS);
+            const toolResults = await this.handleToolCalls(toolCalls);
+
+            // Add tool call results to conversation. The assistant message and its
+            // tool results are added together so a cancelled turn never leaves
+            // unanswered tool_calls in the history.
+            this.addToConversation({
+                role: "assistant",
+                content: output,
+                tool_calls: toolCalls
+            });
+            toolResults.forEach(result => {
+                this.addToConversation({
+                    role: "tool",
+                    content: JSON.stringify(result.result),
+                    tool_call_id: result.tool_call_id
+                });
+            });
+
+            // Continue loop with updated conversation
+        }
+    }
+
+    // Run the loop to the final answer, then add the structured output when
+    // an output schema is set
+    async finishTurn() {
+        const answer = await this.runLoop();
+        if (answer && this.outputSchema) {
+            answer.structured = await this.structureAnswer(answer);
+        }
+        return answer;
+    }
+
+    // Convert the final answer into JSON matching this.outputSchema, using the
+    // provider's structured output where it has one and asking the model to
+    // repair invalid replies. Returns the structured output, or null if the
+    // user stopped the run first.
+    async structureAnswer({ output }) {
+        const schema = this.outputSchema;
+        const request = structuringMessages(schema, { request: this.turnRequest, answer: output });
+        let native = this.providers.getAdapter().structuredOutput;
+        let attempts = 0;
+        let check;
+
+        while (attempts <= MAX_REPAIRS) {
+            await this.activeRun.checkpoint();
+            if (this.activeRun.stopRequested) break;
+
+            this.emit('thinking', { message: "Structuring the answer..." });
+            const signal = this.activeRun.beginStep(RUN_STATES.CALLING_LLM);
+            let response;
+            try {
+                response = await this.callLLM(request, { display: false, tools: [], responseSchema: native ? schema : null });
+            } catch (error) {
+                if (this.activeRun.isPauseInterruption(signal)) continue;
+                // Some OpenAI-compatible servers reject response_format; prompt for JSON instead
+                if (native && error.status === 400) {
+                    native = false;
+                    continue;
+                }
+                throw error;
+            }
+            this.recordUsage(response.usage);
+            attempts++;
+
+            check = checkStructuredReply(schema, response.output);
+            if (check.valid) break;
+            request.push(
+                { role: "assistant", content: response.output || '(no reply)' },
+                { role: "user", content: repairPrompt(check.errors) }
+            );
+        }
+        if (!check) return null;
+
+        const structured = {
+            data: check.value,
+            valid: check.valid,
+            ...(!check.valid && { errors: check.errors }),
+            attempts,
+            native
+        };
+        // The answer is the last message in the conversation
+        const index = this.messages.length - 1;
+        this.structuredOutputs[index] = structured;
+        this.emit('structured', { index, structured });
+        return structured;
+    }
+
+    // Returns a description of the first exceeded limit, or null.
+    // steps: false skips the step limit (for sub-agent calls).
+    checkBudget({ steps: checkSteps = true } = {}) {
+        const { steps, totalTokens, cost, allowUntilStep } = this.turnUsage;
+
+        // Steps granted by the user override all limits until used up
+        if (steps < allowUntilStep) return null;
+
+        if (checkSteps && steps >= this.limits.maxSteps) {
+            return `the step limit (${this.limits.maxSteps} LLM round-trips)`;
+        }
+        if (totalTokens >= this.limits.maxTokens) {
+            return `the token limit (${totalTokens.toLocaleString()} of ${this.limits.maxTokens.toLocaleString()} tokens)`;
+        }
+        if (cost >= this.limits.maxCost) {
+            return `the cost limit (~$${cost.toFixed(4)} of $${this.limits.maxCost.toFixed(2)})`;
+        }
+        return null;
+    }
+
+    // Sub-agent calls add tokens and cost but not steps; they have their own step limit
+    recordUsage(usage, { countStep = true } = {}) {
+        if (countStep) this.turnUsage.steps++;
+        if (!usage) return;
+
+        this.turnUsage.totalTokens += usage.total_tokens || 0;
+
+        const pricing = modelPricing(this.model);
+        this.turnUsage.cost += ((usage.prompt_tokens || 0) * pricing.input +
+            (usage.completion_tokens || 0) * pricing.output) / 1e6;
+    }
+
+    // display: false marks internal calls (planning, sub-agents, structuring)
+    // whose text isn't shown as a chat message; tools defaults to every
+    // registered tool; responseSchema asks providers with structured output
+    // for JSON matching it
+    async callLLM(messages, { display = true, tools = this.toolRegistry.list(), responseSchema = null } = {}) {
+        // The active provider's adapter converts to and from its native API
+        const adapter = this.providers.getAdapter();
+        const { url, init } = this.providers.buildRequest({
+            model: this.model,
+            messages: messages,
+            tools,
+            temperature: 0.7,
+            maxTokens: 2000,
+            stream: true,
+            responseSchema
+        });
+
+        const response = await fetchWithRetry(url, {
+            ...init,
+            signal: this.activeRun?.signal
+        }, { policy: 'llm', onRetry: this.retryNotifier('LLM request') });
+
+        await ensureOk(response, `${this.providers.config.name} API error`);
+
+        // Report text deltas as they arrive
+        const stream = adapter.createStreamAccumulator();
+        let output = "";
+        for await (const chunk of readEventStream(response)) {
+            const delta = stream.push(chunk);
+            if (!delta) continue;
+
+            output += delta;
+            this.emit('delta', { delta, content: output, display });
+        }
+
+        return stream.finish();
+    }
+
+    async handleToolCalls(toolCalls) {
+        this.emit('tool-start', { toolCalls });
+
+        return this.runLimited(toolCalls, async (toolCall) => ({
+            tool_call_id: toolCall.id,
+            result: await this.runToolCall(toolCall)
+        }));
+    }
+
+    // Map tool calls through worker with at most toolConcurrency in flight.
+    // Each runner pulls the next queued call until none remain. Results keep
+    // their original slot.
+    async runLimited(toolCalls, worker) {
+        const results = new Array(toolCalls.length);
+        let nextIndex = 0;
+
+        const runNext = async () => {
+            while (nextIndex < toolCalls.length) {
+                const index = nextIndex++;
+                results[index] = await worker(toolCalls[index]);
+            }
+        };
+
+        const runnerCount = Math.max(1, Math.min(this.toolConcurrency, toolCalls.length));
+        await Promise.all(Array.from({ length: runnerCount }, runNext));
+
+        return results;
+    }
+
+    // Approve and execute one tool call and return its result. Calls interrupted
+    // by a pause run again after resume; cancelling rethrows the AbortError.
+    async runToolCall(toolCall) {
+        while (true) {
+            await this.activeRun.checkpoint();
+
+            if (this.activeRun.stopRequested) {
+                const skipped = { error: 'Skipped because the user stopped the run.', skipped: true };
+                this.emit('tool-result', { toolCall, result: skipped });
+                return skipped;
+            }
+
+            const signal = this.activeRun.signal;
+            let result;
+            try {
+                // Malformed or invalid arguments go back to the model as a tool
+                // error without asking for approval
+                this.toolRegistry.parseArguments(toolCall.function.name, toolCall.function.arguments);
+
+                // Apply the tool's approval policy; rejections go back to the model
+                const approval = await this.requestApproval(toolCall);
+                if (approval.approved) {
+                    this.emit('tool-progress', { toolCall, status: 'running' });
+                    result = await this.executeTool(toolCall);
+
+                    // Number search results and pages so the answer can cite them
+                    this.sources.annotate(result).forEach(id => this.turnSources.add(id));
+                } else {
+                    result = approval.result;
+                }
+            } catch (error) {
+                if (this.activeRun.isPauseInterruption(signal)) {
+                    this.emit('tool-progress', { toolCall, status: 'paused' });
+                    continue;
+                }
+                if (this.activeRun.isCancelled) throw error;
+                result = error.name === 'ToolArgumentError'
+                    ? { error: error.message, invalid_arguments: error.errors }
+                    : { error: error.message };
+            }
+
+            this.emit('tool-result', { toolCall, result });
+            return result;
+        }
+    }
+
+    // Resolves { approved: true } or { approved: false, result } per the tool's policy
+    async requestApproval(toolCall) {
+        const name = toolCall.function.name;
+        const policy = this.getToolPolicy(name);
+
+        if (policy === 'allow') {
+            return { approved: true };
+        }
+        if (policy === 'deny') {
+            return {
+                approved: false,
+                result: {
+                    error: `Tool "${name}" is disabled by the user's tool policy. Do not call it again; use another approach.`,
+                    denied: true
+                }
+            };
+        }
+
+        const decision = await this.confirmToolCall(toolCall);
+        if (decision.action === 'unconfirmed') {
+            return {
+                approved: false,
+                result: {
+                    error: `Tool call needs approval: ${name} asks for confirmation and no approver is set. Do not call it again; use another approach.`,
+                    needs_approval: true
+                }
+            };
+        }
+        if (decision.action === 'reject') {
+            return {
+                approved: false,
+                result: {
+                    error: `The user rejected this ${name} call.${decision.reason ? ` Reason: ${decision.reason}` : ''} Re-plan without it or ask the user how to proceed.`,
+                    rejected: true
+                }
+            };
+        }
+
+        if (decision.arguments !== undefined) {
+            // Record the edited arguments so the transcript shows what actually ran
+            toolCall.function.arguments = decision.arguments;
+        }
+        return { approved: true };
+    }
+
+    // Decision for a call whose policy is 'ask':
+    // { action: 'approve' | 'reject' | 'unconfirmed', reason?, arguments? }
+    async confirmToolCall(toolCall) {
+        if (this.autoApprove) return { action: 'approve' };
+        if (!this.approve) return { action: 'unconfirmed' };
+        return await this.approve(toolCall) ? { action: 'approve' } : { action: 'reject' };
+    }
+
+    async executeTool(toolCall) {
+        const { name, arguments: args } = toolCall.function;
+        const params = this.toolRegistry.parseArguments(name, args);
+
+        return await this.toolRegistry.execute(name, params, {
+            toolCall,
+            signal: this.activeRun?.signal,
+            agent: this
+        });
+    }
+
+    async googleSearch({ query, num_results, start }) {
+        // Backend and credentials come from the Search settings
+        return this.connector.search(query, {
+            num: num_results,
+            start,
+            signal: this.activeRun?.signal,
+            onRetry: this.retryNotifier('Search')
+        });
+    }
+
+    async fetchUrl({ url, offset, max_tokens }) {
+        return this.connector.fetchPage(url, {
+            offset,
+            maxTokens: max_tokens,
+            signal: this.activeRun?.signal,
+            onRetry: this.retryNotifier('Fetch')
+        });
+    }
+
+    async searchDocuments({ query, top_k, document }) {
+        const documents = await this.documentStore?.list() ?? [];
+        if (!documents.length) {
+            return { query, results: [], message: 'No documents have been uploaded. Ask the user to drop files onto the chat.' };
+        }
+
+        // Blend in embeddings when enabled and the indexed chunks have them
+        let queryEmbedding;
+        const { hasEmbeddings } = await this.documentStore.loadIndex();
+        if (this.useEmbeddings && hasEmbeddings) {
+            try {
+                [queryEmbedding] = await this.providers.embed([query], { signal: this.activeRun?.signal });
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                console.warn('Query embedding failed, using BM25 only:', error);
+            }
+        }
+
+        const results = await this.documentStore.search(query, { topK: top_k, document, queryEmbedding });
+        return {
+            query,
+            retrieval: queryEmbedding ? 'hybrid' : 'bm25',
+            documents: documents.map(doc => doc.name),
+            results,
+            ...(results.length === 0 && { message: 'No matching passages found' })
+        };
+    }
+
+    async aiPipeWorkflow({ workflow_type, input_data, instructions = "" }) {
+        const endpoint = 'https://aipipe.org/openai/v1/chat/completions';
+        const aipipeKey = this.providers.get('aipipe')?.apiKey;
+        if (!aipipeKey) {
+            throw new Error('AI Pipe API key required for ai_pipe_workflow');
+        }
+        const workflow = this.workflows.get(workflow_type);
+
+        const response = await fetchWithRetry(endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${aipipeKey}`
+            },
+            signal: this.activeRun?.signal,
+            body: JSON.stringify(workflowRequest(workflow, { input_data, instructions }))
+        }, { policy: 'llm', onRetry: this.retryNotifier('AI Pipe workflow') });
+
+        await ensureOk(response, 'AI Pipe workflow failed');
+
+        const data = await response.json();
+        return workflowResult(workflow, data.choices[0].message.content);
+    }
+
+    async executeJavaScript({ code, return_value = true }) {
+        // Runs in a dedicated Worker with no DOM, storage or fetch (see sandbox-worker.js)
+        const outcome = await runInSandbox(code, {
+            timeout: this.jsTimeout,
+            signal: this.activeRun?.signal
+        });
+
+        if (!outcome.success) {
+            return {
+                code: code,
+                error: outcome.error,
+                console_output: outcome.console_output,
+                success: false
+            };
+        }
+
+        return {
+            code: code,
+            result: return_value ? outcome.result : null,
+            console_output: outcome.console_output,
+            success: true
+        };
+    }
+
+    // Uploaded CSV/JSON documents parsed into { fileName: rows }
+    async loadDatasets() {
+        const datasets = {};
+        const documents = await this.documentStore?.list() ?? [];
+        for (const doc of documents.filter(doc => doc.type === 'csv' || doc.type === 'json')) {
+            if (!this.datasetCache.has(doc.id)) {
+                try {
+                    this.datasetCache.set(doc.id, parseDataset(doc));
+                } catch (error) {
+                    console.warn(`Could not parse ${doc.name}:`, error);
+                    continue;
+                }
+            }
+            datasets[doc.name] = this.datasetCache.get(doc.id);
+        }
+        return datasets;
+    }
+
+    async describeDatasets() {
+        try {
+            const datasets = await this.loadDatasets();
+            return Object.entries(datasets).map(([name, data]) => describeDataset(name, data)).join('\n');
+        } catch (error) {
+            console.warn('Failed to load datasets:', error);
+            return '';
+        }
+    }
+
+    async analyzeData({ code }) {
+        const datasets = await this.loadDatasets();
+        const outcome = await runInSandbox(code, {
+            timeout: this.jsTimeout,
+            signal: this.activeRun?.signal,
+            datasets
+        });
+
+        // table() and chart() results are rendered in the tool result panel
+        const display = outcome.result?.__display ? outcome.result : null;
+        return {
+            code,
+            datasets: Object.keys(datasets),
+            ...(outcome.success
+                ? (display ? { display } : { result: outcome.result })
+                : { error: outcome.error }),
+            console_output: outcome.console_output,
+            success: outcome.success
+        };
+    }
+
+    // Run a sub-agent with its own loop, tools and budget. Its tool calls go
+    // through the usual validation, approval, pause handling and concurrency
+    // limit, with ids scoped under the run_subagent call. It stops early when
+    // the turn's token or cost limit is reached.
+    async runSubAgent({ agent: name, task, context }, { toolCall }) {
+        const definition = SUB_AGENTS[name];
+        const scope = (call) => ({ ...call, id: `${toolCall.id}-${call.id}` });
+
+        const subAgent = new SubAgent(name, {
+            tools: definition.tools.map(tool => this.toolRegistry.get(tool)).filter(Boolean),
+            callModel: (messages, tools) => this.callSubAgentModel(messages, tools),
+            runTool: (call) => this.runToolCall(scope(call)),
+            runTools: (calls, worker) => this.runLimited(calls, worker),
+            // Sub-agent calls don't take parent steps, so only tokens and cost apply
+            turnLimit: () => this.checkBudget({ steps: false })
+        });
+        this.emit('subagent-start', { toolCall, subAgent, scope });
+
+        try {
+            return await subAgent.run(task, context);
+        } finally {
+            this.emit('subagent-done', { toolCall });
+        }
+    }
+
+    // LLM call for a sub-agent: sent again after a pause, and its tokens
+    // count towards the turn's token and cost limits
+    async callSubAgentModel(messages, tools) {
+        while (true) {
+            await this.activeRun.checkpoint();
+            if (this.activeRun.stopRequested) {
+                throw new Error('Stopped by the user');
+            }
+
+            const signal = this.activeRun.signal;
+            try {
+                const response = await this.callLLM(messages, { display: false, tools });
+                this.recordUsage(response.usage, { countStep: false });
+                return response;
+            } catch (error) {
+                if (this.activeRun.isPauseInterruption(signal)) continue;
+                throw error;
+            }
+        }
+    }
+
+    // onRetry callback for fetchWithRetry that keeps listeners informed
+    retryNotifier(label) {
+        return ({ attempt, delay, reason }) => {
+            this.emit('thinking', { message: `${label} hit ${reason}, retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt})...` });
+        };
+    }
+}
@@ -0,0 +1,72 @@
+// Datasets for the analyze_data tool
+// Uploaded CSV and JSON files (see documents.js) are parsed into arrays of
+// row objects that the sandbox exposes as `datasets[fileName]`.
+
+// Convert a CSV cell to a number, boolean or null where it clearly is one
+const coerce = (value) => {
+    const trimmed = value.trim();
+    if (trimmed === '') return null;
+    if (/^(true|false)$/i.test(trimmed)) return trimmed.toLowerCase() === 'true';
+    if (/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(trimmed)) return Number(trimmed);
+    return value;
+};
+
+// RFC 4180 CSV: quoted fields, escaped quotes ("") and newlines inside quotes.
+// The first row is the header. Returns [{ column: value }].
+export function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header = [], ...records] = rows.filter(cells => cells.some(cell => cell.trim()));
+    const columns = header.map((name, i) => name.trim() || `column_${i + 1}`);
+    return records.map(cells => Object.fromEntries(columns.map((column, i) => [column, coerce(cells[i] ?? '')])));
+}
+
+// Parsed contents of an uploaded CSV or JSON document
+export function parseDataset({ type, text }) {
+    if (type === 'csv') return parseCSV(text);
+    if (type === 'json') return JSON.parse(text);
+    throw new Error(`Not a data file: ${type}`);
+}
+
+// One-line description for the system prompt
+export function describeDataset(name, data) {
+    if (!Array.isArray(data)) {
+        return `- \`${name}\`: JSON ${data === null ? 'null' : typeof data}`;
+    }
+    const columns = data.length && data[0] && typeof data[0] === 'object' ? Object.keys(data[0]) : [];
+    return `- \`${name}\`: ${data.length} rows${columns.length ? `; columns: ${columns.join(', ')}` : ''}`;
+}
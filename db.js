@@ -0,0 +1,37 @@
+// Shared IndexedDB database for sessions (sessions.js) and uploaded
+// documents (documents.js). Every store is created here so the version
+// number and upgrade steps live in one place.
+
+const DB_NAME = 'synapse-ai';
+const DB_VERSION = 2;
+
+// Wrap an IDBRequest in a promise
+export const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+export function openDatabase(name = DB_NAME) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            // Version 1: conversations
+            if (!db.objectStoreNames.contains('sessions')) {
+                const store = db.createObjectStore('sessions', { keyPath: 'id' });
+                store.createIndex('updatedAt', 'updatedAt');
+            }
+            // Version 2: uploaded files and their indexed chunks
+            if (!db.objectStoreNames.contains('documents')) {
+                db.createObjectStore('documents', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('chunks')) {
+                const store = db.createObjectStore('chunks', { keyPath: 'id' });
+                store.createIndex('documentId', 'documentId');
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
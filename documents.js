@@ -0,0 +1,314 @@
+// Uploaded documents for the search_documents tool (in-browser RAG)
+// Files are split into overlapping ~1000-character chunks that keep their file
+// name and page (PDF) or starting line (other files), stored in IndexedDB and
+// ranked with BM25. When embeddings are enabled, chunk vectors are stored too
+// and blended with the BM25 score.
+
+import { openDatabase, promisify } from './db.js';
+
+const PDFJS_URL = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@4.10.38/build/pdf.min.mjs';
+const PDFJS_WORKER_URL = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@4.10.38/build/pdf.worker.min.mjs';
+
+// File extension -> document type
+export const DOCUMENT_TYPES = {
+    pdf: 'pdf',
+    md: 'markdown',
+    markdown: 'markdown',
+    csv: 'csv',
+    txt: 'text',
+    json: 'json'
+};
+export const DOCUMENT_ACCEPT = Object.keys(DOCUMENT_TYPES).map(ext => `.${ext}`).join(',');
+
+const CHUNK_SIZE = 1000;
+const CHUNK_OVERLAP = 150;
+const EMBEDDING_BATCH = 64;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set(('a an and are as at be but by for from has have in is it its of on or ' +
+    'that the this to was were will with').split(' '));
+
+export function tokenize(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+        .filter(term => term.length > 1 && !STOPWORDS.has(term));
+}
+
+export function documentType(name) {
+    return DOCUMENT_TYPES[name.split('.').pop().toLowerCase()] || null;
+}
+
+// Text of a file as [{ page, text }]. Only PDFs have page numbers.
+export async function extractPages(file) {
+    const type = documentType(file.name);
+    if (!type) {
+        throw new Error(`Unsupported file type: ${file.name}`);
+    }
+    if (type !== 'pdf') {
+        return [{ page: null, text: await file.text() }];
+    }
+
+    // pdf.js is only loaded when a PDF is dropped
+    const pdfjs = await import(PDFJS_URL);
+    pdfjs.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+    const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+
+    const pages = [];
+    for (let number = 1; number <= pdf.numPages; number++) {
+        const { items } = await (await pdf.getPage(number)).getTextContent();
+        pages.push({ page: number, text: items.map(item => item.str + (item.hasEOL ? '\n' : '')).join('') });
+    }
+    return pages;
+}
+
+// Lines of a page with their 1-based line numbers; overlong lines are split
+const numberedLines = (text, size) => text.split('\n').flatMap((line, i) => {
+    const pieces = [];
+    for (let start = 0; start < line.length; start += size) {
+        pieces.push({ text: line.slice(start, start + size), line: i + 1 });
+    }
+    return pieces.length ? pieces : [{ text: '', line: i + 1 }];
+});
+
+// Split pages into chunks on line boundaries, carrying up to `overlap`
+// characters into the next chunk. Returns [{ page, line, text }].
+export function chunkPages(pages, { type, size = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) {
+    if (type === 'csv') {
+        return chunkCsv(pages[0]?.text || '', size);
+    }
+
+    const chunks = [];
+    for (const { page, text } of pages) {
+        let current = [];
+        let length = 0;
+
+        const flush = () => {
+            const chunkText = current.map(line => line.text).join('\n').trim();
+            if (chunkText) chunks.push({ page, line: current[0].line, text: chunkText });
+        };
+
+        for (const line of numberedLines(text, size)) {
+            if (current.length && length + line.text.length > size) {
+                flush();
+
+                const carried = [];
+                let carriedLength = 0;
+                while (current.length && carriedLength + current.at(-1).text.length < overlap) {
+                    const last = current.pop();
+                    carried.unshift(last);
+                    carriedLength += last.text.length + 1;
+                }
+                // Don't carry overlap that would leave no room for new text
+                current = carriedLength + line.text.length > size ? [] : carried;
+                length = current.length ? carriedLength : 0;
+            }
+            current.push(line);
+            length += line.text.length + 1;
+        }
+        if (current.length) flush();
+    }
+    return chunks;
+}
+
+// CSV chunks repeat the header row so each chunk is readable on its own
+function chunkCsv(text, size) {
+    const [header = '', ...rows] = text.split(/\r?\n/);
+    const chunks = [];
+    let current = [];
+    let startLine = 2;
+    let length = header.length;
+
+    rows.forEach((row, i) => {
+        if (!row.trim()) return;
+        if (current.length && length + row.length > size) {
+            chunks.push({ page: null, line: startLine, text: [header, ...current].join('\n') });
+            current = [];
+            length = header.length;
+        }
+        if (!current.length) startLine = i + 2;
+        current.push(row);
+        length += row.length + 1;
+    });
+    if (current.length) {
+        chunks.push({ page: null, line: startLine, text: [header, ...current].join('\n') });
+    }
+    return chunks;
+}
+
+const termCounts = (terms) => terms.reduce((counts, term) => {
+    counts[term] = (counts[term] || 0) + 1;
+    return counts;
+}, {});
+
+const cosine = (a, b) => {
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// A document is { id, name, type, size, addedAt, pages, chunkCount, text,
+// embeddingModel }; text keeps the extracted content for re-indexing and
+// data tools. Chunks are { id, documentId, name, page, line, index, text,
+// terms, length, embedding }.
+export class DocumentStore {
+    constructor(dbName) {
+        this.dbName = dbName;
+        this.dbPromise = null;
+        this.index = null; // BM25 statistics, rebuilt lazily after changes
+    }
+
+    open() {
+        this.dbPromise ??= openDatabase(this.dbName);
+        return this.dbPromise;
+    }
+
+    async transaction(stores, mode = 'readonly') {
+        const db = await this.open();
+        return db.transaction(stores, mode);
+    }
+
+    async list() {
+        const tx = await this.transaction('documents');
+        const documents = await promisify(tx.objectStore('documents').getAll());
+        return documents.sort((a, b) => a.addedAt - b.addedAt);
+    }
+
+    // Extract, chunk and store a File. embed(texts) -> vectors is optional.
+    async add(file, { embed, embeddingModel } = {}) {
+        const type = documentType(file.name);
+        const pages = await extractPages(file);
+        const chunks = chunkPages(pages, { type });
+        if (!chunks.length) {
+            throw new Error(`No text found in ${file.name}`);
+        }
+
+        let embeddings = null;
+        if (embed) {
+            embeddings = [];
+            for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH) {
+                embeddings.push(...await embed(chunks.slice(i, i + EMBEDDING_BATCH).map(chunk => chunk.text)));
+            }
+        }
+
+        const document = {
+            id: crypto.randomUUID(),
+            name: file.name,
+            type,
+            size: file.size,
+            addedAt: Date.now(),
+            pages: type === 'pdf' ? pages.length : null,
+            chunkCount: chunks.length,
+            text: pages.map(page => page.text).join('\n'),
+            embeddingModel: embeddings ? embeddingModel || null : null
+        };
+
+        const tx = await this.transaction(['documents', 'chunks'], 'readwrite');
+        tx.objectStore('documents').put(document);
+        chunks.forEach((chunk, index) => {
+            const terms = tokenize(chunk.text);
+            tx.objectStore('chunks').put({
+                id: `${document.id}:${index}`,
+                documentId: document.id,
+                name: file.name,
+                page: chunk.page,
+                line: chunk.line,
+                index,
+                text: chunk.text,
+                terms: termCounts(terms),
+                length: terms.length,
+                ...(embeddings && { embedding: embeddings[index] })
+            });
+        });
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+
+        this.index = null;
+        return document;
+    }
+
+    async delete(id) {
+        const tx = await this.transaction(['documents', 'chunks'], 'readwrite');
+        tx.objectStore('documents').delete(id);
+        const keys = await promisify(tx.objectStore('chunks').index('documentId').getAllKeys(id));
+        keys.forEach(key => tx.objectStore('chunks').delete(key));
+        await new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+        });
+        this.index = null;
+    }
+
+    async loadIndex() {
+        if (this.index) return this.index;
+
+        const tx = await this.transaction('chunks');
+        const chunks = await promisify(tx.objectStore('chunks').getAll());
+        const documentFrequency = new Map();
+        let totalLength = 0;
+
+        for (const chunk of chunks) {
+            totalLength += chunk.length;
+            for (const term of Object.keys(chunk.terms)) {
+                documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+            }
+        }
+
+        this.index = {
+            chunks,
+            documentFrequency,
+            averageLength: chunks.length ? totalLength / chunks.length : 0,
+            hasEmbeddings: chunks.some(chunk => chunk.embedding)
+        };
+        return this.index;
+    }
+
+    // Rank chunks for a query. options: { topK, document (file name filter),
+    // queryEmbedding }. Scores are BM25, or an even blend of normalized BM25
+    // and cosine similarity when embeddings are available.
+    async search(query, { topK = 5, document, queryEmbedding } = {}) {
+        const { chunks, documentFrequency, averageLength } = await this.loadIndex();
+        const terms = [...new Set(tokenize(query))];
+        const nameFilter = document?.toLowerCase();
+
+        const scored = chunks
+            .filter(chunk => !nameFilter || chunk.name.toLowerCase().includes(nameFilter))
+            .map(chunk => {
+                let bm25 = 0;
+                for (const term of terms) {
+                    const frequency = chunk.terms[term];
+                    if (!frequency) continue;
+                    const df = documentFrequency.get(term);
+                    const idf = Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5));
+                    bm25 += idf * frequency * (BM25_K1 + 1) /
+                        (frequency + BM25_K1 * (1 - BM25_B + BM25_B * chunk.length / (averageLength || 1)));
+                }
+                const similarity = queryEmbedding && chunk.embedding ? cosine(queryEmbedding, chunk.embedding) : null;
+                return { chunk, bm25, similarity };
+            });
+
+        const maxBm25 = scored.reduce((max, item) => Math.max(max, item.bm25), 0);
+        return scored
+            .map(item => ({
+                ...item,
+                score: item.similarity === null
+                    ? item.bm25
+                    : 0.5 * (maxBm25 ? item.bm25 / maxBm25 : 0) + 0.5 * Math.max(0, item.similarity)
+            }))
+            .filter(item => item.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, topK)
+            .map(({ chunk, score }) => ({
+                file: chunk.name,
+                ...(chunk.page !== null ? { page: chunk.page } : { line: chunk.line }),
+                chunk: chunk.index,
+                score: Number(score.toFixed(3)),
+                text: chunk.text
+            }));
+    }
+}
@@ -0,0 +1,10 @@
+// Events with a detail payload for the agent's EventTargets
+// CustomEvent is only global from Node 19, so the headless core dispatches
+// this Event subclass instead. Listeners read event.detail as with CustomEvent.
+
+export class DetailEvent extends Event {
+    constructor(type, detail = null) {
+        super(type);
+        this.detail = detail;
+    }
+}
@@ -0,0 +1,141 @@
+// Shared request layer: retries with exponential backoff and jitter,
+// Retry-After support, and errors that carry the provider's own message.
+
+// Tool fetches are idempotent GETs and can retry more freely, including after
+// network errors. LLM calls are POSTs that cost money, so they only retry when
+// the provider signals it didn't process the request (rate limits, overload,
+// gateway errors). A network error may come after the provider accepted the
+// request, so it is never retried for them.
+export const RETRY_POLICIES = {
+    tool: {
+        retries: 3,
+        baseDelay: 500,
+        maxDelay: 10000,
+        retryOn: [408, 425, 429, 500, 502, 503, 504],
+        retryNetworkErrors: true
+    },
+    llm: {
+        retries: 2,
+        baseDelay: 1000,
+        maxDelay: 30000,
+        retryOn: [429, 502, 503, 504, 529],
+        retryNetworkErrors: false
+    }
+};
+
+export class HttpError extends Error {
+    constructor(label, response, detail) {
+        super(`${label}: ${response.status} ${response.statusText}${detail ? ` - ${detail}` : ''}`);
+        this.name = 'HttpError';
+        this.status = response.status;
+        this.detail = detail;
+    }
+}
+
+// Pull a human-readable message out of an error body. Handles the
+// OpenAI/Anthropic/Gemini `{ error: { message } }` shape and plain text.
+export async function readErrorDetail(response) {
+    let text;
+    try {
+        text = await response.text();
+    } catch {
+        return '';
+    }
+
+    try {
+        const data = JSON.parse(text);
+        const error = data.error ?? data;
+        const message = typeof error === 'string' ? error : error.message || data.message || data.detail;
+        if (message) return String(message);
+    } catch {
+        // Not JSON
+    }
+
+    return text.trim().slice(0, 300);
+}
+
+// Throw an HttpError for non-2xx responses, otherwise return the response
+export async function ensureOk(response, label) {
+    if (!response.ok) {
+        throw new HttpError(label, response, await readErrorDetail(response));
+    }
+    return response;
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(response) {
+    const header = response.headers.get('retry-after');
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffDelay(attempt, { baseDelay, maxDelay }) {
+    // Full jitter: random delay between 0 and the exponential cap
+    return Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt);
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('Request was cancelled', 'AbortError'));
+            return;
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new DOMException('Request was cancelled', 'AbortError'));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// fetch() with retries. Returns the final Response, which may still be
+// non-2xx once retries are used up; pair with ensureOk().
+// options: { policy: 'tool' | 'llm' | { retries, baseDelay, maxDelay, retryOn, retryNetworkErrors },
+//            onRetry({ attempt, delay, reason }) }
+export async function fetchWithRetry(url, init = {}, { policy = 'tool', onRetry } = {}) {
+    const settings = typeof policy === 'string' ? RETRY_POLICIES[policy] : policy;
+
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            response = await fetch(url, init);
+        } catch (error) {
+            // Network failures are retryable when the policy allows it;
+            // cancellation never is
+            if (error.name === 'AbortError' || !settings.retryNetworkErrors || attempt >= settings.retries) {
+                throw error;
+            }
+
+            const delay = backoffDelay(attempt, settings);
+            onRetry?.({ attempt: attempt + 1, delay, reason: error.message });
+            await sleep(delay, init.signal);
+            continue;
+        }
+
+        if (!settings.retryOn.includes(response.status) || attempt >= settings.retries) {
+            return response;
+        }
+
+        // Honor Retry-After exactly; if it asks for longer than we're willing
+        // to wait, give up and let the caller report the error
+        const retryAfter = parseRetryAfter(response);
+        if (retryAfter !== null && retryAfter > settings.maxDelay) {
+            return response;
+        }
+        const delay = retryAfter ?? backoffDelay(attempt, settings);
+        onRetry?.({ attempt: attempt + 1, delay, reason: `${response.status} ${response.statusText}` });
+
+        // Drain the body so the connection can be reused
+        response.body?.cancel().catch(() => {});
+        await sleep(delay, init.signal);
+    }
+}
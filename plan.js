@@ -0,0 +1,163 @@
+// Plan-and-execute mode
+// The agent first asks the model for a step list, then runs each step as its
+// own tool loop and finishes with a final answer. Steps are
+// { id, text, status, note }; pending steps can be edited, reordered and
+// deleted at any time, including while an earlier step runs. Listeners get a
+// 'change' event after every update.
+
+import { validate } from './schema.js';
+
+export const STEP_STATUS = Object.freeze({
+    PENDING: 'pending',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed'
+});
+
+export const MAX_PLAN_STEPS = 10;
+export const MAX_REPLANS = 2;
+
+// A step reply starting with this marks the step as failed and triggers a re-plan
+const STEP_FAILED_MARKER = 'STEP FAILED:';
+
+// Failure reason from a step reply, or null if the step succeeded. Only the
+// exact marker counts, optionally wrapped in Markdown emphasis.
+export function stepFailure(output) {
+    const match = output.match(/^[\s*_]*STEP FAILED:[\s*_]*([\s\S]*)$/);
+    return match ? match[1].trim() || 'no reason given' : null;
+}
+
+const PLAN_SCHEMA = {
+    type: 'object',
+    properties: {
+        steps: {
+            type: 'array',
+            minItems: 1,
+            maxItems: MAX_PLAN_STEPS,
+            items: { type: 'string', minLength: 1 }
+        }
+    },
+    required: ['steps']
+};
+
+// Step texts from a planning reply: bare JSON or a ```json block
+export function parsePlan(text) {
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    let data;
+    try {
+        data = JSON.parse((fenced ? fenced[1] : text).trim());
+    } catch {
+        throw new Error('The plan was not valid JSON');
+    }
+
+    const { valid, value, errors } = validate(PLAN_SCHEMA, data);
+    if (!valid) {
+        throw new Error(`Invalid plan: ${errors.join('; ')}`);
+    }
+    return value.steps.map(step => step.trim()).filter(Boolean);
+}
+
+const PLAN_FORMAT = `Reply with only a JSON object and no other text: {"steps": ["...", "..."]}. ` +
+    `Use 1-${MAX_PLAN_STEPS} short, concrete steps; each should be achievable with the available tools or by reasoning. ` +
+    `Do not call any tools yet and do not include a final "answer the user" step.`;
+
+export function planningPrompt() {
+    return `Before doing anything, make a step-by-step plan for the request above. ${PLAN_FORMAT}`;
+}
+
+export function replanPrompt(plan, failedStep) {
+    return `Step "${failedStep.text}" failed: ${failedStep.note || 'no reason given'}.\n\n` +
+        `Plan so far:\n${plan.describe()}\n\n` +
+        `Make a new list of the remaining steps needed to finish the original request, working around the failure. ${PLAN_FORMAT}`;
+}
+
+export function stepPrompt(plan, step) {
+    const number = plan.steps.indexOf(step) + 1;
+    return `Plan step ${number}/${plan.steps.length}: ${step.text}\n\n` +
+        `Work on this step only, using tools as needed. When it is done, reply with a short summary of what you found or did. ` +
+        `If the step cannot be completed, reply with "${STEP_FAILED_MARKER} <reason>".`;
+}
+
+export const FINAL_PROMPT = 'All plan steps are finished. Using the results above, give the complete final answer to my original request.';
+
+export class Plan extends EventTarget {
+    constructor(steps = []) {
+        super();
+        this.steps = [];
+        this.nextId = 1;
+        steps.forEach(text => this.add(text));
+    }
+
+    changed() {
+        this.dispatchEvent(new Event('change'));
+    }
+
+    get(id) {
+        return this.steps.find(step => step.id === Number(id));
+    }
+
+    get running() {
+        return this.steps.find(step => step.status === STEP_STATUS.RUNNING) || null;
+    }
+
+    // First step still to run
+    next() {
+        return this.steps.find(step => step.status === STEP_STATUS.PENDING) || null;
+    }
+
+    add(text, index = this.steps.length) {
+        const step = { id: this.nextId++, text: text.trim(), status: STEP_STATUS.PENDING, note: '' };
+        this.steps.splice(index, 0, step);
+        this.changed();
+        return step;
+    }
+
+    // Only pending steps can be changed
+    edit(id, text) {
+        const step = this.get(id);
+        if (step?.status !== STEP_STATUS.PENDING || !text.trim()) return false;
+        step.text = text.trim();
+        this.changed();
+        return true;
+    }
+
+    remove(id) {
+        const step = this.get(id);
+        if (step?.status !== STEP_STATUS.PENDING) return false;
+        this.steps.splice(this.steps.indexOf(step), 1);
+        this.changed();
+        return true;
+    }
+
+    // Swap a pending step with its pending neighbour; offset is -1 or 1
+    move(id, offset) {
+        const step = this.get(id);
+        const index = this.steps.indexOf(step);
+        const neighbour = this.steps[index + offset];
+        if (step?.status !== STEP_STATUS.PENDING || neighbour?.status !== STEP_STATUS.PENDING) return false;
+        [this.steps[index], this.steps[index + offset]] = [neighbour, step];
+        this.changed();
+        return true;
+    }
+
+    setStatus(id, status, note = '') {
+        const step = this.get(id);
+        if (!step) return;
+        step.status = status;
+        step.note = note;
+        this.changed();
+    }
+
+    // After a failure: drop the pending steps and append the revised ones
+    replaceRemaining(texts) {
+        this.steps = this.steps.filter(step => step.status !== STEP_STATUS.PENDING);
+        texts.forEach(text => this.steps.push({ id: this.nextId++, text, status: STEP_STATUS.PENDING, note: '' }));
+        this.changed();
+    }
+
+    // Numbered list with statuses and notes, for prompts
+    describe() {
+        return this.steps.map((step, i) =>
+            `${i + 1}. [${step.status}] ${step.text}${step.note ? ` - ${step.note}` : ''}`).join('\n');
+    }
+}
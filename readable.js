@@ -0,0 +1,127 @@
+// Readable-text extraction for the fetch_url tool
+// String-based so it runs the same in the page, a worker or Node (no DOMParser).
+// Strips scripts, styles and page chrome (nav, header, footer, aside, forms),
+// prefers <article> or <main> when present, and keeps headings and links.
+
+// Rough chars-per-token ratio for English text, used for output budgets
+export const CHARS_PER_TOKEN = 4;
+
+const MAX_LINKS = 50;
+
+const ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    mdash: '—', ndash: '–', hellip: '…', lsquo: '‘', rsquo: '’',
+    ldquo: '“', rdquo: '”', copy: '©', reg: '®', trade: '™', middot: '·', bull: '•'
+};
+
+export function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            try {
+                return String.fromCodePoint(code);
+            } catch {
+                return match;
+            }
+        }
+        return ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+// Text content of an HTML fragment on one line
+const inlineText = (html) => decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+
+const removeElements = (html, tags) => html.replace(
+    new RegExp(`<(${tags.join('|')})\\b[^>]*>[\\s\\S]*?<\\/\\1\\s*>`, 'gi'),
+    ' '
+);
+
+// Outermost <tag>...</tag> span, or null
+const outerContent = (html, tag) => {
+    const start = html.search(new RegExp(`<${tag}\\b`, 'i'));
+    const end = html.toLowerCase().lastIndexOf(`</${tag}>`);
+    return start !== -1 && end > start ? html.slice(start, end) : null;
+};
+
+const resolveUrl = (href, baseUrl) => {
+    try {
+        const url = new URL(decodeEntities(href), baseUrl);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch {
+        return null;
+    }
+};
+
+// Returns { title, headings: [{ level, text }], links: [{ text, href }], text }
+export function extractReadable(html, baseUrl) {
+    const title = inlineText(html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '');
+
+    let content = html.replace(/<!--[\s\S]*?-->/g, ' ');
+    content = removeElements(content, ['head', 'script', 'style', 'noscript', 'template', 'svg', 'iframe', 'canvas']);
+    // Inside an <article> or <main>, <header> usually holds the title, so
+    // only strip it from whole-body pages
+    const main = outerContent(content, 'article') ?? outerContent(content, 'main');
+    content = main ?? outerContent(content, 'body') ?? content;
+    content = removeElements(content, ['nav', 'aside', 'form', 'button', 'select', ...(main ? [] : ['header', 'footer'])]);
+
+    const headings = [...content.matchAll(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1\s*>/gi)]
+        .map(([, level, inner]) => ({ level: Number(level), text: inlineText(inner) }))
+        .filter(heading => heading.text);
+
+    const links = [];
+    const seen = new Set();
+    for (const [, attrs, inner] of content.matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a\s*>/gi)) {
+        const href = attrs.match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+        const url = href && resolveUrl(href[1] ?? href[2] ?? href[3], baseUrl);
+        if (!url || seen.has(url)) continue;
+
+        seen.add(url);
+        links.push({ text: inlineText(inner), href: url });
+        if (links.length >= MAX_LINKS) break;
+    }
+
+    const text = decodeEntities(content
+        .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1\s*>/gi, (match, level, inner) =>
+            `\n\n${'#'.repeat(Number(level))} ${inlineText(inner)}\n\n`)
+        .replace(/<li\b[^>]*>/gi, '\n- ')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/?(p|div|section|article|main|table|tr|ul|ol|dl|dt|dd|blockquote|pre|figure|figcaption|hr)\b[^>]*>/gi, '\n\n')
+        .replace(/<\/?(td|th)\b[^>]*>/gi, ' ')
+        .replace(/<[^>]*>/g, ''))
+        .replace(/[ \t\f\v\u00a0]+/g, ' ')
+        .split('\n')
+        .map(line => line.trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+
+    return { title, headings, links, text };
+}
+
+// Turn a fetched Response into a page of readable text.
+// Returns { url, title, content, offset, total_length, next_offset }, plus
+// headings and links on the first page. next_offset is null at the end.
+export async function readPage(response, { url, offset = 0, maxTokens = 2000 } = {}) {
+    const contentType = response.headers.get('content-type') || '';
+    const body = await response.text();
+
+    let page;
+    if (/html|xml/i.test(contentType) || (!contentType && /<(html|body)\b/i.test(body))) {
+        page = extractReadable(body, url);
+    } else if (!contentType || /^text\/|json|javascript|csv|markdown/i.test(contentType)) {
+        page = { title: '', headings: [], links: [], text: body };
+    } else {
+        throw new Error(`Unsupported content type: ${contentType}`);
+    }
+
+    const end = Math.min(page.text.length, offset + maxTokens * CHARS_PER_TOKEN);
+    return {
+        url,
+        title: page.title,
+        content: page.text.slice(offset, end),
+        offset,
+        total_length: page.text.length,
+        next_offset: end < page.text.length ? end : null,
+        ...(offset === 0 && { headings: page.headings, links: page.links })
+    };
+}
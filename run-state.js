@@ -0,0 +1,145 @@
+// Run state machine for one agent turn
+// States: idle -> calling_llm <-> running_tools -> done, with paused and
+// cancelling reachable from either step. Pausing aborts the current step's
+// signal so in-flight fetches stop immediately; the step is retried on resume.
+// Cancelling aborts the whole run with an AbortError.
+// Listeners receive 'statechange' events with { state, previous } details.
+
+import { DetailEvent } from './events.js';
+
+export const RUN_STATES = Object.freeze({
+    IDLE: 'idle',
+    CALLING_LLM: 'calling_llm',
+    RUNNING_TOOLS: 'running_tools',
+    PAUSED: 'paused',
+    CANCELLING: 'cancelling',
+    DONE: 'done'
+});
+
+const cancelError = () => new DOMException('Request was cancelled by user', 'AbortError');
+const pauseError = () => new DOMException('Paused by user', 'AbortError');
+
+export class AgentRun extends EventTarget {
+    constructor() {
+        super();
+        this.state = RUN_STATES.IDLE;
+        this.controller = new AbortController();
+        this.stepController = null;
+        this.unlinkStep = null;
+        this.pausedFrom = null;
+        this.pausedSignals = new WeakSet();
+        this.resumed = null;
+        this.stopRequested = false;
+        this.pendingMessages = [];
+    }
+
+    // Signal for the current step; aborted by pause or cancel
+    get signal() {
+        return this.stepController?.signal ?? this.controller.signal;
+    }
+
+    get isPaused() {
+        return this.state === RUN_STATES.PAUSED;
+    }
+
+    get isCancelled() {
+        return this.controller.signal.aborted;
+    }
+
+    setState(state) {
+        const previous = this.state;
+        if (previous === state) return;
+
+        this.state = state;
+        this.dispatchEvent(new DetailEvent('statechange', { state, previous }));
+    }
+
+    // Enter an LLM or tools step with a fresh signal linked to the run's
+    beginStep(state) {
+        this.unlinkStep?.();
+
+        const step = new AbortController();
+        const onCancel = () => step.abort(this.controller.signal.reason);
+        this.controller.signal.addEventListener('abort', onCancel, { once: true });
+        this.unlinkStep = () => this.controller.signal.removeEventListener('abort', onCancel);
+
+        this.stepController = step;
+        this.setState(state);
+        return step.signal;
+    }
+
+    pause() {
+        if (this.state !== RUN_STATES.CALLING_LLM && this.state !== RUN_STATES.RUNNING_TOOLS) {
+            return false;
+        }
+
+        this.pausedFrom = this.state;
+        let resolve, reject;
+        const promise = new Promise((res, rej) => {
+            resolve = res;
+            reject = rej;
+        });
+        promise.catch(() => {}); // Nobody may be waiting yet when a cancel rejects it
+        this.resumed = { promise, resolve, reject };
+
+        this.setState(RUN_STATES.PAUSED);
+        if (this.stepController) {
+            this.pausedSignals.add(this.stepController.signal);
+            this.stepController.abort(pauseError());
+        }
+        return true;
+    }
+
+    resume() {
+        if (!this.isPaused) return false;
+
+        const { resolve } = this.resumed;
+        this.resumed = null;
+        this.beginStep(this.pausedFrom);
+        resolve();
+        return true;
+    }
+
+    // Let in-flight tools finish, skip queued ones and end the turn
+    stopAfterCurrentTool() {
+        this.stopRequested = true;
+        if (this.isPaused) this.resume();
+    }
+
+    cancel() {
+        if (this.state === RUN_STATES.DONE || this.isCancelled) return;
+
+        this.setState(RUN_STATES.CANCELLING);
+        this.controller.abort(cancelError());
+        this.resumed?.reject(cancelError());
+        this.resumed = null;
+    }
+
+    // Await between steps: waits while paused, throws once cancelled
+    async checkpoint() {
+        if (this.resumed) await this.resumed.promise;
+        this.controller.signal.throwIfAborted();
+    }
+
+    // True when the step signal an operation ran with was aborted by pause().
+    // Tools can throw their own AbortErrors (fetch timeouts), so the error
+    // itself doesn't tell a pause apart from a failure.
+    isPauseInterruption(signal) {
+        return !this.isCancelled && this.pausedSignals.has(signal);
+    }
+
+    // Messages typed while paused join the conversation on resume
+    queueMessage(text) {
+        this.pendingMessages.push(text);
+    }
+
+    takePendingMessages() {
+        return this.pendingMessages.splice(0);
+    }
+
+    finish() {
+        this.unlinkStep?.();
+        this.stepController = null;
+        this.setState(RUN_STATES.DONE);
+    }
+}
@@ -0,0 +1,196 @@
+// Sandbox worker for execute_javascript and analyze_data
+// Runs model-written code off the main thread with no DOM or storage and without the
+// direct network APIs. This is not a network boundary: see BLOCKED_GLOBALS.
+// Protocol: receives { code, datasets }, posts { type: 'console' | 'result' | 'error', ... }
+
+const post = self.postMessage.bind(self);
+
+// Remove the network and storage APIs so code can't read same-origin
+// IndexedDB or make requests with them. They are deleted from the whole
+// prototype chain and then pinned to undefined on the global scope. Dynamic
+// import() is syntax and can't be removed, so determined code can still
+// reach the network; don't treat datasets passed in as confidential.
+const BLOCKED_GLOBALS = [
+    'fetch', 'XMLHttpRequest', 'WebSocket', 'WebTransport', 'EventSource', 'BroadcastChannel',
+    'indexedDB', 'caches', 'importScripts', 'Worker', 'SharedWorker', 'navigator'
+];
+
+for (const name of BLOCKED_GLOBALS) {
+    for (let obj = self; obj; obj = Object.getPrototypeOf(obj)) {
+        if (Object.prototype.hasOwnProperty.call(obj, name)) {
+            try { delete obj[name]; } catch { /* non-configurable */ }
+        }
+    }
+    try {
+        Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false });
+    } catch { /* already locked */ }
+}
+
+// Convert any value into plain JSON-safe data that survives postMessage
+function toCloneable(value, seen = new WeakSet()) {
+    if (value === undefined) return null;
+    if (value === null || typeof value === 'string' || typeof value === 'boolean') return value;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : String(value);
+    if (typeof value === 'bigint') return `${value}n`;
+    if (typeof value === 'symbol') return value.toString();
+    if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+
+    if (value instanceof Error) return { name: value.name, message: value.message };
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof RegExp) return value.toString();
+    if (value instanceof Map) return Object.fromEntries([...value].map(([k, v]) => [String(k), toCloneable(v, seen)]));
+    if (value instanceof Set) return [...value].map(v => toCloneable(v, seen));
+    if (ArrayBuffer.isView(value)) return Array.from(value, v => toCloneable(v, seen));
+    if (Array.isArray(value)) return value.map(v => toCloneable(v, seen));
+
+    const result = {};
+    for (const [k, v] of Object.entries(value)) {
+        result[k] = toCloneable(v, seen);
+    }
+    return result;
+}
+
+function formatArg(arg) {
+    if (typeof arg === 'string') return arg;
+    try {
+        return JSON.stringify(toCloneable(arg), null, 2);
+    } catch {
+        return String(arg);
+    }
+}
+
+const sandboxConsole = {};
+for (const level of ['log', 'info', 'warn', 'error', 'debug']) {
+    sandboxConsole[level] = (...args) => post({
+        type: 'console',
+        level,
+        message: args.map(formatArg).join(' ')
+    });
+}
+
+// Data helpers for analyze_data. Rows are arrays of plain objects.
+const MAX_TABLE_ROWS = 100;
+const MAX_CHART_POINTS = 500;
+
+const isMissing = (value) => value === null || value === undefined || value === '' || Number.isNaN(value);
+
+const quantile = (sorted, q) => {
+    if (!sorted.length) return null;
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const round = (value) => value === null ? null : Number(value.toFixed(4));
+
+// Spreading a large column into Math.min/max overflows the call stack
+const extreme = (values, pick) => values.length ? values.reduce((best, value) => pick(best, value)) : null;
+
+const AGGREGATES = {
+    count: (values) => values.length,
+    sum: (values) => values.reduce((total, value) => total + value, 0),
+    mean: (values) => values.length ? AGGREGATES.sum(values) / values.length : null,
+    min: (values) => extreme(values, Math.min),
+    max: (values) => extreme(values, Math.max),
+    median: (values) => quantile([...values].sort((a, b) => a - b), 0.5),
+    distinct: (values) => new Set(values).size
+};
+
+const columnsOf = (rows) => [...new Set(rows.flatMap(row => row && typeof row === 'object' ? Object.keys(row) : []))];
+
+// Per-column stats: numbers get count/mean/std/min/quartiles/max,
+// other columns get count/unique/top values
+function summarize(rows, columns = columnsOf(rows)) {
+    const summary = {};
+    for (const column of [].concat(columns)) {
+        const values = rows.map(row => row?.[column]).filter(value => !isMissing(value));
+        const missing = rows.length - values.length;
+
+        if (values.length && values.every(value => typeof value === 'number')) {
+            const sorted = [...values].sort((a, b) => a - b);
+            const mean = AGGREGATES.mean(values);
+            const variance = values.length > 1
+                ? values.reduce((total, value) => total + (value - mean) ** 2, 0) / (values.length - 1)
+                : 0;
+            summary[column] = {
+                type: 'number', count: values.length, missing,
+                mean: round(mean), std: round(Math.sqrt(variance)),
+                min: sorted[0], p25: round(quantile(sorted, 0.25)), median: round(quantile(sorted, 0.5)),
+                p75: round(quantile(sorted, 0.75)), max: sorted.at(-1)
+            };
+        } else {
+            const counts = new Map();
+            values.forEach(value => counts.set(String(value), (counts.get(String(value)) || 0) + 1));
+            summary[column] = {
+                type: 'string', count: values.length, missing, unique: counts.size,
+                top: [...counts].sort((a, b) => b[1] - a[1]).slice(0, 5).map(([value, count]) => ({ value, count }))
+            };
+        }
+    }
+    return summary;
+}
+
+// groupBy(rows, 'region', { total: ['sum', 'sales'], orders: ['count'] })
+// -> [{ region, total, orders }]. keys may be an array; the default
+// aggregation is a row count.
+function groupBy(rows, keys, aggregations = { count: ['count'] }) {
+    keys = [].concat(keys);
+    const groups = new Map();
+    for (const row of rows) {
+        const groupKey = JSON.stringify(keys.map(key => row?.[key] ?? null));
+        if (!groups.has(groupKey)) groups.set(groupKey, []);
+        groups.get(groupKey).push(row);
+    }
+
+    return [...groups].map(([groupKey, members]) => {
+        const result = Object.fromEntries(keys.map((key, i) => [key, JSON.parse(groupKey)[i]]));
+        for (const [name, [op, column]] of Object.entries(aggregations)) {
+            if (!AGGREGATES[op]) {
+                throw new Error(`Unknown aggregation "${op}". Use one of: ${Object.keys(AGGREGATES).join(', ')}`);
+            }
+            const values = column === undefined
+                ? members
+                : members.map(row => row?.[column]).filter(value => op === 'distinct' ? !isMissing(value) : typeof value === 'number' && !Number.isNaN(value));
+            result[name] = round(AGGREGATES[op](values));
+        }
+        return result;
+    });
+}
+
+// Return value rendered as a table in the tool result panel
+function table(rows, { columns = columnsOf(rows), title } = {}) {
+    return {
+        __display: 'table',
+        ...(title && { title }),
+        columns,
+        rows: rows.slice(0, MAX_TABLE_ROWS).map(row => columns.map(column => row?.[column] ?? null)),
+        total_rows: rows.length
+    };
+}
+
+// Return value rendered as a Vega-Lite chart. data: { name: '<file>' }
+// charts an uploaded dataset without copying its rows into the result.
+function chart(spec) {
+    const values = spec?.data?.values;
+    if (Array.isArray(values) && values.length > MAX_CHART_POINTS) {
+        throw new Error(`Chart data has ${values.length} points (max ${MAX_CHART_POINTS}). Aggregate it first, or use data: { name: '<file>' } for an uploaded dataset.`);
+    }
+    return { __display: 'vega-lite', spec };
+}
+
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+self.onmessage = async ({ data }) => {
+    try {
+        // Async wrapper gives top-level await and awaits returned Promises
+        const func = new AsyncFunction('console', 'datasets', 'summarize', 'groupBy', 'table', 'chart', `"use strict";\n${data.code}`);
+        const result = await func(sandboxConsole, data.datasets || {}, summarize, groupBy, table, chart);
+        post({ type: 'result', result: toCloneable(result) });
+    } catch (error) {
+        post({ type: 'error', error: error?.message || String(error) });
+    }
+};
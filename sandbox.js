@@ -0,0 +1,61 @@
+// Isolated JavaScript execution for the execute_javascript and analyze_data tools
+// Each run gets a fresh Worker (see sandbox-worker.js) that is terminated on
+// completion, timeout or abort, so runaway code can't freeze the page.
+// datasets ({ fileName: rows }) are copied into the worker as `datasets`.
+
+const WORKER_URL = new URL('./sandbox-worker.js', import.meta.url);
+
+export const DEFAULT_JS_TIMEOUT = 10000;
+
+export function runInSandbox(code, { timeout = DEFAULT_JS_TIMEOUT, signal, datasets = {} } = {}) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('Execution was cancelled', 'AbortError'));
+            return;
+        }
+
+        const worker = new Worker(WORKER_URL);
+        const consoleOutput = [];
+        const startTime = Date.now();
+
+        const finish = (outcome) => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+            worker.terminate();
+            resolve({
+                ...outcome,
+                console_output: consoleOutput,
+                duration_ms: Date.now() - startTime
+            });
+        };
+
+        const onAbort = () => {
+            clearTimeout(timer);
+            worker.terminate();
+            reject(new DOMException('Execution was cancelled', 'AbortError'));
+        };
+
+        const timer = setTimeout(() => {
+            finish({ success: false, error: `Execution timed out after ${timeout}ms` });
+        }, timeout);
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        worker.onmessage = ({ data }) => {
+            if (data.type === 'console') {
+                consoleOutput.push({ level: data.level, message: data.message });
+            } else if (data.type === 'result') {
+                finish({ success: true, result: data.result });
+            } else if (data.type === 'error') {
+                finish({ success: false, error: data.error });
+            }
+        };
+
+        worker.onerror = (event) => {
+            event.preventDefault();
+            finish({ success: false, error: event.message || 'Worker failed to start' });
+        };
+
+        worker.postMessage({ code, datasets });
+    });
+}
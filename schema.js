@@ -0,0 +1,138 @@
+// Minimal JSON Schema validator for tool arguments
+// Covers the subset tool schemas use: type, enum, const, properties, required,
+// additionalProperties, items, numeric and length bounds, pattern and default.
+// validate() returns { valid, value, errors }, where value is a copy with
+// defaults filled in and errors are readable "path: problem" strings.
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    // Integers are numbers too
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const describe = (value) => JSON.stringify(value);
+
+function check(schema, value, path, errors) {
+    if (!schema || typeof schema !== 'object') return value;
+
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+            return value;
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+        errors.push(`${path}: must be one of ${schema.enum.map(describe).join(', ')}, got ${describe(value)}`);
+    }
+    if ('const' in schema && schema.const !== value) {
+        errors.push(`${path}: must be ${describe(schema.const)}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path}: must be >= ${schema.minimum}, got ${value}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path}: must be <= ${schema.maximum}, got ${value}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push(`${path}: must be > ${schema.exclusiveMinimum}, got ${value}`);
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            errors.push(`${path}: must be < ${schema.exclusiveMaximum}, got ${value}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path}: must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+            errors.push(`${path}: must match /${schema.pattern}/`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path}: must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path}: must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            return value.map((item, i) => check(schema.items, item, `${path}[${i}]`, errors));
+        }
+        return value;
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        const result = { ...value };
+
+        for (const [key, propSchema] of Object.entries(properties)) {
+            if (result[key] === undefined && propSchema?.default !== undefined) {
+                result[key] = structuredClone(propSchema.default);
+            }
+        }
+        for (const key of schema.required || []) {
+            if (result[key] === undefined) {
+                errors.push(`${path}.${key}: is required`);
+            }
+        }
+        for (const [key, item] of Object.entries(result)) {
+            if (key in properties) {
+                result[key] = check(properties[key], item, `${path}.${key}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key}: is not an allowed property`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                result[key] = check(schema.additionalProperties, item, `${path}.${key}`, errors);
+            }
+        }
+        return result;
+    }
+
+    return value;
+}
+
+// Keywords check() enforces, plus annotations that never affect validity
+const KNOWN_KEYWORDS = new Set([
+    'type', 'enum', 'const', 'properties', 'required', 'additionalProperties', 'items',
+    'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'minLength', 'maxLength',
+    'pattern', 'minItems', 'maxItems', 'default',
+    '$schema', '$id', '$comment', 'title', 'description', 'examples', 'deprecated', 'readOnly', 'writeOnly'
+]);
+
+// Keywords outside the supported subset (anyOf, $ref, format, ...), as
+// "path: keyword" strings. validate() would silently skip them.
+export function unsupportedKeywords(schema, path = '$') {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return [];
+
+    const found = Object.keys(schema)
+        .filter(keyword => !KNOWN_KEYWORDS.has(keyword))
+        .map(keyword => `${path}: ${keyword}`);
+
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+        found.push(...unsupportedKeywords(propSchema, `${path}.${key}`));
+    }
+    found.push(...unsupportedKeywords(schema.items, `${path}[]`));
+    found.push(...unsupportedKeywords(schema.additionalProperties, `${path}.*`));
+    return found;
+}
+
+export function validate(schema, value, path = '$') {
+    const errors = [];
+    const result = check(schema, value, path, errors);
+    return { valid: errors.length === 0, value: result, errors };
+}
@@ -0,0 +1,209 @@
+// Pluggable web search backends for the google_search tool
+// Each backend turns { query, num, start } into one HTTP request and maps the
+// response to one shared shape:
+//   { query, backend, start, total_results, next_start,
+//     results: [{ title, link, snippet, display_link }] }
+// start is the 1-based index of the first result, as in Google CSE.
+// Backends whose APIs page differently fetch the enclosing page and `skip`
+// into it.
+// APIs that allow browser requests (cors: true) are called directly. The
+// others need the AI Pipe proxy in a page; a backend with an API key only
+// uses it when the user turns on its useProxy setting, because the key would
+// pass through aipipe.org.
+
+export const DEFAULT_SEARCH_CONFIG = {
+    backend: 'google',
+    settings: {}
+};
+
+const hostOf = (link) => {
+    try {
+        return new URL(link).hostname;
+    } catch {
+        return '';
+    }
+};
+
+// Opt-in setting for backends that send an API key but don't allow CORS
+const PROXY_FIELD = {
+    key: 'useProxy',
+    label: 'Send requests through the AI Pipe proxy',
+    type: 'checkbox',
+    optional: true,
+    warning: 'Your key will pass through aipipe.org. Without the proxy, browsers block this API.'
+};
+
+const toResult = (title, link, snippet) => ({
+    title: title || link,
+    link,
+    snippet: snippet || '',
+    display_link: hostOf(link)
+});
+
+// Backend definition:
+//   label, cors (the API allows browser requests),
+//   fields: [{ key, label, placeholder, secret, type, optional, warning }] shown in settings,
+//   request({ query, num, start }, settings) -> { url, init, skip },
+//   parse(data) -> { results, total }
+export const SEARCH_BACKENDS = {
+    google: {
+        label: 'Google Custom Search',
+        cors: true,
+        fields: [
+            { key: 'apiKey', label: 'API key', secret: true },
+            { key: 'cx', label: 'Search engine ID (cx)' }
+        ],
+        request({ query, num, start }, { apiKey, cx }) {
+            const params = new URLSearchParams({ key: apiKey, cx, q: query, num, start });
+            return { url: `https://www.googleapis.com/customsearch/v1?${params}` };
+        },
+        parse(data) {
+            return {
+                results: (data.items || []).map(item => toResult(item.title, item.link, item.snippet)),
+                total: Number(data.searchInformation?.totalResults) || 0
+            };
+        }
+    },
+
+    searxng: {
+        label: 'SearXNG (self-hosted)',
+        fields: [
+            { key: 'baseUrl', label: 'Instance URL', placeholder: 'http://localhost:8888' }
+        ],
+        // SearXNG pages by pageno with roughly 10 results per page; the
+        // instance must have the json format enabled
+        request({ query, start }, { baseUrl }) {
+            const params = new URLSearchParams({ q: query, format: 'json', pageno: Math.floor((start - 1) / 10) + 1 });
+            return { url: `${baseUrl.replace(/\/+$/, '')}/search?${params}`, skip: (start - 1) % 10 };
+        },
+        parse(data) {
+            return {
+                results: (data.results || []).map(item => toResult(item.title, item.url, item.content)),
+                total: data.number_of_results || 0
+            };
+        }
+    },
+
+    brave: {
+        label: 'Brave Search',
+        fields: [
+            { key: 'apiKey', label: 'Subscription token', secret: true },
+            PROXY_FIELD
+        ],
+        // offset counts pages of `count` results
+        request({ query, start }, { apiKey }) {
+            const params = new URLSearchParams({ q: query, count: 20, offset: Math.floor((start - 1) / 20) });
+            return {
+                url: `https://api.search.brave.com/res/v1/web/search?${params}`,
+                init: { headers: { 'Accept': 'application/json', 'X-Subscription-Token': apiKey } },
+                skip: (start - 1) % 20
+            };
+        },
+        parse(data) {
+            return {
+                results: (data.web?.results || []).map(item => toResult(item.title, item.url, item.description)),
+                total: 0
+            };
+        }
+    },
+
+    bing: {
+        label: 'Bing Web Search',
+        fields: [
+            { key: 'apiKey', label: 'Subscription key', secret: true },
+            PROXY_FIELD
+        ],
+        request({ query, num, start }, { apiKey }) {
+            const params = new URLSearchParams({ q: query, count: num, offset: start - 1 });
+            return {
+                url: `https://api.bing.microsoft.com/v7.0/search?${params}`,
+                init: { headers: { 'Ocp-Apim-Subscription-Key': apiKey } }
+            };
+        },
+        parse(data) {
+            return {
+                results: (data.webPages?.value || []).map(item => toResult(item.name, item.url, item.snippet)),
+                total: data.webPages?.totalEstimatedMatches || 0
+            };
+        }
+    },
+
+    tavily: {
+        label: 'Tavily',
+        cors: true,
+        fields: [
+            { key: 'apiKey', label: 'API key', secret: true }
+        ],
+        // No paging: ask for everything up to the requested window (max 20)
+        request({ query, num, start }, { apiKey }) {
+            return {
+                url: 'https://api.tavily.com/search',
+                init: {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` },
+                    body: JSON.stringify({ query, max_results: Math.min(20, start - 1 + num) })
+                },
+                skip: start - 1
+            };
+        },
+        parse(data) {
+            return {
+                results: (data.results || []).map(item => toResult(item.title, item.url, item.content)),
+                total: 0
+            };
+        }
+    }
+};
+
+// Throws if the backend is unknown or missing a required setting
+export function getSearchBackend({ backend, settings = {} }) {
+    const definition = SEARCH_BACKENDS[backend];
+    if (!definition) {
+        throw new Error(`Unknown search backend: ${backend}`);
+    }
+
+    const values = settings[backend] || {};
+    const missing = definition.fields.filter(field => !field.optional && !values[field.key]);
+    if (missing.length) {
+        throw new Error(`${definition.label} needs ${missing.map(field => field.label).join(' and ')}. Set it under Search in the settings panel.`);
+    }
+    return { definition, values };
+}
+
+// Whether a backend's requests go through the CORS proxy
+export function usesProxy(definition, values = {}) {
+    if (definition.cors) return false;
+    return !definition.fields.some(field => field.secret) || values.useProxy === true;
+}
+
+// Run one search. fetcher(url, init, { proxy }) returns a Response and must
+// throw on non-2xx (see ensureOk in http.js).
+export async function search(fetcher, config, { query, num = 5, start = 1, signal }) {
+    const { definition, values } = getSearchBackend(config);
+    const { url, init = {}, skip = 0 } = definition.request({ query, num, start }, values);
+    const proxy = usesProxy(definition, values);
+
+    let response;
+    try {
+        response = await fetcher(url, { ...init, signal }, { proxy });
+    } catch (error) {
+        // A CORS rejection surfaces as a bare network TypeError
+        if (!definition.cors && !proxy && error.name === 'TypeError') {
+            throw new Error(`${definition.label} could not be reached (${error.message}). Its API blocks browser requests; turn on "${PROXY_FIELD.label}" under Search in the settings panel, or pick another backend.`);
+        }
+        throw error;
+    }
+    const { results, total } = definition.parse(await response.json());
+    const page = results.slice(skip, skip + num);
+
+    return {
+        query,
+        backend: config.backend,
+        start,
+        total_results: total || null,
+        // Assume more results exist while pages come back full
+        next_start: page.length === num ? start + num : null,
+        results: page,
+        ...(page.length === 0 && { message: 'No results found' })
+    };
+}
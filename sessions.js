@@ -0,0 +1,77 @@
+// Conversation persistence in IndexedDB
+// A session is { id, title, createdAt, updatedAt, model, provider, messages },
+// where messages is the agent's full OpenAI-format transcript including
+// tool_calls and tool results.
+
+import { openDatabase, promisify } from './db.js';
+
+const SESSIONS = 'sessions';
+
+export class SessionStore {
+    constructor(dbName) {
+        this.dbName = dbName;
+        this.dbPromise = null;
+    }
+
+    open() {
+        this.dbPromise ??= openDatabase(this.dbName);
+        return this.dbPromise;
+    }
+
+    async store(mode = 'readonly') {
+        const db = await this.open();
+        return db.transaction(SESSIONS, mode).objectStore(SESSIONS);
+    }
+
+    async save(session) {
+        const store = await this.store('readwrite');
+        await promisify(store.put({ ...session, updatedAt: Date.now() }));
+        return session;
+    }
+
+    async get(id) {
+        const store = await this.store();
+        return promisify(store.get(id));
+    }
+
+    async delete(id) {
+        const store = await this.store('readwrite');
+        return promisify(store.delete(id));
+    }
+
+    async rename(id, title) {
+        const session = await this.get(id);
+        if (!session) {
+            throw new Error(`Session not found: ${id}`);
+        }
+        return this.save({ ...session, title });
+    }
+
+    // All sessions, most recently updated first
+    async list() {
+        const store = await this.store();
+        const sessions = await promisify(store.getAll());
+        return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    // Case-insensitive match on titles and message text
+    async search(query) {
+        const sessions = await this.list();
+        const needle = query.trim().toLowerCase();
+        if (!needle) return sessions;
+
+        return sessions.filter(session =>
+            session.title.toLowerCase().includes(needle) ||
+            session.messages.some(message =>
+                typeof message.content === 'string' && message.content.toLowerCase().includes(needle)
+            )
+        );
+    }
+}
+
+// Session title from the first user message
+export function titleFromMessages(messages) {
+    const first = messages.find(message => message.role === 'user')?.content || 'New conversation';
+    const line = first.replace(/\s+/g, ' ').trim();
+    return line.length > 60 ? `${line.slice(0, 57)}...` : line;
+}
@@ -0,0 +1,59 @@
+// Structured final answers
+// With an output schema set, a turn ends with a JSON object matching it as
+// well as the Markdown answer. The object comes from one extra model call
+// that converts the answer. Providers with native structured output
+// (adapter.structuredOutput) get the schema in the request; every reply is
+// still validated here, and invalid ones are sent back for repair up to
+// MAX_REPAIRS times.
+
+import { validate, unsupportedKeywords } from './schema.js';
+
+export const MAX_REPAIRS = 2;
+
+// Parse a user-supplied output schema; the root must describe an object
+export function parseOutputSchema(text) {
+    let schema;
+    try {
+        schema = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`not valid JSON (${error.message})`);
+    }
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema) || schema.type !== 'object') {
+        throw new Error('the root schema must have "type": "object"');
+    }
+    // Answers are shown as validated, so every keyword must be one that is checked
+    const unsupported = unsupportedKeywords(schema);
+    if (unsupported.length) {
+        throw new Error(`unsupported keywords, which would not be validated: ${unsupported.join(', ')}`);
+    }
+    return schema;
+}
+
+// Request for converting a final answer; request is the user's original ask
+export function structuringMessages(schema, { request, answer }) {
+    return [
+        {
+            role: 'system',
+            content: `You convert an assistant's final answer into JSON. Reply with only a JSON object that matches this JSON Schema, ` +
+                `using only information from the answer:\n${JSON.stringify(schema)}`
+        },
+        { role: 'user', content: `${request ? `Request:\n${request}\n\n` : ''}Answer:\n${answer}` }
+    ];
+}
+
+// Check a reply (bare JSON or a ```json block) against the schema.
+// Returns { valid, value, errors } like schema.js validate().
+export function checkStructuredReply(schema, text) {
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    let data;
+    try {
+        data = JSON.parse((fenced ? fenced[1] : text).trim());
+    } catch {
+        return { valid: false, value: null, errors: ['the reply is not valid JSON'] };
+    }
+    return validate(schema, data, 'output');
+}
+
+export function repairPrompt(errors) {
+    return `That JSON does not match the schema: ${errors.join('; ')}. Reply with only the corrected JSON object.`;
+}
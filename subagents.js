@@ -0,0 +1,154 @@
+// Sub-agents for the run_subagent tool
+// A sub-agent is a focused agent loop with its own system prompt, a restricted
+// tool set and its own step and token budget; the parent agent gets its final
+// answer back as the tool result. SubAgent has no UI: it calls the model and
+// tools through the functions it is given and reports progress as
+// 'message', 'tool-start' and 'tool-result' events.
+
+import { DetailEvent } from './events.js';
+
+// Sub-agent definitions: tools are names of registered tools
+export const SUB_AGENTS = {
+    researcher: {
+        label: 'Researcher',
+        icon: 'bi-search',
+        tools: ['google_search', 'fetch_url', 'search_documents'],
+        limits: { maxSteps: 8, maxTokens: 40000 },
+        systemPrompt: `You are a research sub-agent working for another AI agent. Use google_search, fetch_url and search_documents to find reliable, current information for the task, and read the most relevant sources in full with fetch_url before relying on them.
+
+Cite sources inline as [source_id] using the IDs in the tool results. Finish with a concise, factual report of your findings and say what you could not verify.`
+    },
+    coder: {
+        label: 'Coder',
+        icon: 'bi-code-slash',
+        tools: ['execute_javascript', 'analyze_data'],
+        limits: { maxSteps: 8, maxTokens: 40000 },
+        systemPrompt: `You are a coding sub-agent working for another AI agent. Write JavaScript and run it with execute_javascript (or analyze_data for uploaded CSV/JSON files) to compute, test or demonstrate what the task asks. If code fails, fix it and run it again.
+
+Finish with the final working code in a \`\`\`javascript block and a short summary of what it produced.`
+    },
+    critic: {
+        label: 'Critic',
+        icon: 'bi-clipboard-check',
+        tools: [],
+        limits: { maxSteps: 2, maxTokens: 15000 },
+        systemPrompt: `You are a critic sub-agent working for another AI agent. Review the draft, plan or claim in the task for factual errors, logical gaps, missing cases and unclear writing.
+
+List each issue with a concrete fix, most important first, and end with an overall verdict.`
+    }
+};
+
+export class SubAgent extends EventTarget {
+    // callModel(messages, tools) -> { output, toolCalls, usage }
+    // runTool(toolCall) -> result
+    // runTools(toolCalls, worker) -> results, running worker over the calls
+    //   (defaults to all at once; the parent passes its concurrency limit)
+    // turnLimit() -> description of the parent turn's exceeded limit, or null
+    // tools: registered tool definitions the sub-agent may call
+    constructor(name, {
+        callModel,
+        runTool,
+        runTools = (toolCalls, worker) => Promise.all(toolCalls.map(worker)),
+        turnLimit = () => null,
+        tools = []
+    }) {
+        super();
+        if (!SUB_AGENTS[name]) {
+            throw new Error(`Unknown sub-agent: ${name}`);
+        }
+        this.name = name;
+        this.definition = SUB_AGENTS[name];
+        this.callModel = callModel;
+        this.runTool = runTool;
+        this.runTools = runTools;
+        this.turnLimit = turnLimit;
+        this.tools = tools;
+        this.messages = [];
+        this.usage = { steps: 0, totalTokens: 0 };
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new DetailEvent(type, detail));
+    }
+
+    exceededBudget() {
+        const { maxSteps, maxTokens } = this.definition.limits;
+        return this.usage.steps >= maxSteps || this.usage.totalTokens >= maxTokens;
+    }
+
+    // Run until the model answers without tool calls or the budget runs out.
+    // Returns { agent, answer, steps, total_tokens, tools_used, incomplete? }.
+    async run(task, context = '') {
+        this.messages = [{ role: 'user', content: context ? `${task}\n\nContext:\n${context}` : task }];
+        const toolsUsed = [];
+        let answer = '';
+
+        while (!this.exceededBudget()) {
+            // The parent's budget is checked before every step, since the
+            // sub-agent's tokens count towards it
+            const limit = this.turnLimit();
+            if (limit) {
+                return {
+                    ...this.result(answer, toolsUsed),
+                    incomplete: true,
+                    message: `The turn reached ${limit}, so the ${this.name} sub-agent stopped before finishing; the answer is its last message.`
+                };
+            }
+
+            const { output, toolCalls, usage } = await this.callModel([
+                { role: 'system', content: this.definition.systemPrompt },
+                ...this.messages
+            ], this.tools);
+            this.usage.steps++;
+            this.usage.totalTokens += usage?.total_tokens || 0;
+
+            if (output) {
+                answer = output;
+                this.emit('message', { content: output });
+            }
+            if (!toolCalls?.length) {
+                this.messages.push({ role: 'assistant', content: output });
+                return this.result(answer, toolsUsed);
+            }
+
+            this.emit('tool-start', { toolCalls });
+            const allowed = new Set(this.tools.map(tool => tool.name));
+            const results = await this.runTools(toolCalls, async (toolCall) => {
+                const { name } = toolCall.function;
+                // Only the sub-agent's own tools run, whatever the model asks for
+                const result = allowed.has(name)
+                    ? await this.runTool(toolCall)
+                    : { error: `Tool "${name}" is not available to the ${this.name} sub-agent.`, unavailable: true };
+                this.emit('tool-result', { toolCall, result });
+                return result;
+            });
+
+            toolCalls.forEach(({ function: { name, arguments: args } }) => toolsUsed.push({ name, arguments: args }));
+            this.messages.push(
+                { role: 'assistant', content: output, tool_calls: toolCalls },
+                ...toolCalls.map((toolCall, i) => ({
+                    role: 'tool',
+                    content: JSON.stringify(results[i]),
+                    tool_call_id: toolCall.id
+                }))
+            );
+        }
+
+        const { maxSteps, maxTokens } = this.definition.limits;
+        return {
+            ...this.result(answer, toolsUsed),
+            incomplete: true,
+            message: `The ${this.name} sub-agent used up its budget (${maxSteps} steps or ${maxTokens.toLocaleString()} tokens) before finishing; the answer is its last message.`
+        };
+    }
+
+    result(answer, toolsUsed) {
+        return {
+            agent: this.name,
+            answer,
+            steps: this.usage.steps,
+            total_tokens: this.usage.totalTokens,
+            tools_used: toolsUsed
+        };
+    }
+}
@@ -0,0 +1,205 @@
+// Replays streamed provider responses (test/fixtures/*.sse, in each API's
+// server-sent events wire format) through core.js readEventStream and the
+// adapters' stream accumulators, and checks the request converters.
+// Run with: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { getAdapter, toAnthropicMessages, toGeminiContents, toGeminiSchema } from '../adapters.js';
+import { readEventStream } from '../core.js';
+
+// A streamed response body delivered in the given pieces
+const streamedResponse = (...pieces) => new Response(new ReadableStream({
+    start(controller) {
+        pieces.forEach(piece => controller.enqueue(new TextEncoder().encode(piece)));
+        controller.close();
+    }
+}));
+
+async function collect(response) {
+    const chunks = [];
+    for await (const chunk of readEventStream(response)) chunks.push(chunk);
+    return chunks;
+}
+
+// Stream a fixture into a fresh accumulator. Returns the finished
+// { output, toolCalls, usage } plus the text deltas push() returned.
+async function replay(api, fixture) {
+    const body = readFileSync(new URL(`./fixtures/${fixture}`, import.meta.url), 'utf8');
+    const stream = getAdapter(api).createStreamAccumulator();
+    const deltas = [];
+
+    for (const chunk of await collect(new Response(body))) {
+        const delta = stream.push(chunk);
+        if (delta) deltas.push(delta);
+    }
+    return { ...stream.finish(), deltas };
+}
+
+test('OpenAI: tool call arguments are joined across chunks by index', async () => {
+    const { output, toolCalls, usage, deltas } = await replay('openai', 'openai-tool-calls.sse');
+
+    assert.equal(output, '');
+    assert.deepEqual(deltas, []);
+    assert.deepEqual(toolCalls, [
+        {
+            id: 'call_7tZq0kXW2c',
+            type: 'function',
+            function: { name: 'google_search', arguments: '{"query": "Node.js 22 release date"}' }
+        },
+        {
+            id: 'call_Qm41VbR0ye',
+            type: 'function',
+            function: { name: 'fetch_url', arguments: '{"url": "https://nodejs.org/en/blog"}' }
+        }
+    ]);
+    assert.equal(usage.total_tokens, 453);
+});
+
+test('OpenAI: text deltas stream and usage comes from the final chunk', async () => {
+    const { output, toolCalls, usage, deltas } = await replay('openai', 'openai-text.sse');
+
+    assert.equal(output, 'Node.js 22 was released on April 24, 2024 [1].');
+    assert.deepEqual(deltas, ['Node.js 22', ' was released on April 24, 2024', ' [1].']);
+    assert.deepEqual(toolCalls, []);
+    assert.deepEqual(usage, { prompt_tokens: 980, completion_tokens: 17, total_tokens: 997 });
+});
+
+test('Anthropic: text and tool_use blocks become output and OpenAI tool calls', async () => {
+    const { output, toolCalls, usage, deltas } = await replay('anthropic', 'anthropic-tool-use.sse');
+
+    assert.equal(output, "I'll look up the release date.");
+    assert.deepEqual(deltas, ["I'll look up", ' the release date.']);
+    assert.deepEqual(toolCalls, [
+        {
+            id: 'toolu_01T1x1fJ34qAmk2tNTrN7Up6',
+            type: 'function',
+            function: { name: 'google_search', arguments: '{"query": "Node.js 22 release date", "num_results": 3}' }
+        },
+        // A tool_use block without input deltas gets empty arguments
+        {
+            id: 'toolu_01A09q90qw90lq917835lq9',
+            type: 'function',
+            function: { name: 'list_sources', arguments: '{}' }
+        }
+    ]);
+    // Output tokens come from message_delta, input tokens from message_start
+    assert.deepEqual(usage, { prompt_tokens: 472, completion_tokens: 89, total_tokens: 561 });
+});
+
+test('Gemini: text parts stream and functionCall parts become tool calls', async () => {
+    const { output, toolCalls, usage, deltas } = await replay('gemini', 'gemini-function-call.sse');
+
+    assert.equal(output, 'Let me check the Node.js blog.');
+    assert.deepEqual(deltas, ['Let me check the', ' Node.js blog.']);
+    assert.equal(toolCalls.length, 1);
+    assert.match(toolCalls[0].id, /^call_/);
+    assert.deepEqual(JSON.parse(toolCalls[0].function.arguments), { url: 'https://nodejs.org/en/blog', max_tokens: 1500 });
+    assert.equal(toolCalls[0].function.name, 'fetch_url');
+    assert.deepEqual(usage, { prompt_tokens: 388, completion_tokens: 24, total_tokens: 412 });
+});
+
+test('stream errors are thrown', () => {
+    assert.throws(() => getAdapter('openai').createStreamAccumulator().push({ error: { message: 'Rate limit reached' } }), /Rate limit reached/);
+    assert.throws(() => getAdapter('anthropic').createStreamAccumulator().push({ type: 'error', error: { message: 'Overloaded' } }), /Overloaded/);
+});
+
+test('readEventStream: joins lines split across reads and stops at [DONE]', async () => {
+    const response = streamedResponse('event: ping\r\ndata: {"a":', '1}\r\n\ndata: {"b":2}\n\ndata: [DONE]\n\ndata: {"c":3}\n');
+    assert.deepEqual(await collect(response), [{ a: 1 }, { b: 2 }]);
+});
+
+test('readEventStream: keeps a final data line without a trailing newline', async () => {
+    assert.deepEqual(await collect(streamedResponse('data: {"a":1}\n\n', 'data: {"b":2}')), [{ a: 1 }, { b: 2 }]);
+});
+
+test('readEventStream: skips data lines that are not JSON', async () => {
+    assert.deepEqual(await collect(streamedResponse('data: keep-alive\n\ndata: {"a":1}\n\n')), [{ a: 1 }]);
+});
+
+test('Anthropic request: system hoisted, tool results merged into one user turn', () => {
+    const { system, messages } = toAnthropicMessages([
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Compare two pages' },
+        {
+            role: 'assistant',
+            content: 'Fetching both.',
+            tool_calls: [
+                { id: 'toolu_1', type: 'function', function: { name: 'fetch_url', arguments: '{"url":"https://a.example"}' } },
+                { id: 'toolu_2', type: 'function', function: { name: 'fetch_url', arguments: '{"url":"https://b.example"}' } }
+            ]
+        },
+        { role: 'tool', tool_call_id: 'toolu_1', content: '{"title":"A"}' },
+        { role: 'tool', tool_call_id: 'toolu_2', content: '{"error":"404"}' },
+        { role: 'user', content: 'Go on' },
+        { role: 'system', content: 'Cite sources.' }
+    ]);
+
+    assert.equal(system, 'Be brief.\n\nCite sources.');
+    assert.deepEqual(messages.map(message => message.role), ['user', 'assistant', 'user']);
+    assert.deepEqual(messages[1].content, [
+        { type: 'text', text: 'Fetching both.' },
+        { type: 'tool_use', id: 'toolu_1', name: 'fetch_url', input: { url: 'https://a.example' } },
+        { type: 'tool_use', id: 'toolu_2', name: 'fetch_url', input: { url: 'https://b.example' } }
+    ]);
+    assert.deepEqual(messages[2].content, [
+        { type: 'tool_result', tool_use_id: 'toolu_1', content: '{"title":"A"}' },
+        { type: 'tool_result', tool_use_id: 'toolu_2', content: '{"error":"404"}', is_error: true },
+        { type: 'text', text: 'Go on' }
+    ]);
+});
+
+test('Anthropic request: empty text never becomes a content block', () => {
+    const { messages } = toAnthropicMessages([
+        { role: 'user', content: 'Search' },
+        { role: 'assistant', content: '', tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'google_search', arguments: '' } }] },
+        { role: 'tool', tool_call_id: 'toolu_1', content: '[]' },
+        { role: 'user', content: '' }
+    ]);
+
+    assert.deepEqual(messages[1].content, [{ type: 'tool_use', id: 'toolu_1', name: 'google_search', input: {} }]);
+    assert.deepEqual(messages[2].content, [{ type: 'tool_result', tool_use_id: 'toolu_1', content: '[]' }]);
+    const blocks = messages.flatMap(message => message.content);
+    assert.ok(blocks.every(block => block.type !== 'text' || block.text), 'no empty text blocks');
+});
+
+test('Gemini request: system instruction, function calls and named responses', () => {
+    const { systemInstruction, contents } = toGeminiContents([
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Time?' },
+        { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'clock', arguments: '{"tz":"UTC"}' } }] },
+        { role: 'tool', tool_call_id: 'call_1', content: '"12:00"' },
+        { role: 'assistant', content: 'Noon.' }
+    ]);
+
+    assert.deepEqual(systemInstruction, { parts: [{ text: 'Be brief.' }] });
+    assert.deepEqual(contents, [
+        { role: 'user', parts: [{ text: 'Time?' }] },
+        { role: 'model', parts: [{ functionCall: { name: 'clock', args: { tz: 'UTC' } } }] },
+        // Non-object results are wrapped, since response must be an object
+        { role: 'user', parts: [{ functionResponse: { name: 'clock', response: { result: '12:00' } } }] },
+        { role: 'model', parts: [{ text: 'Noon.' }] }
+    ]);
+});
+
+test('Gemini schema: unsupported keys dropped and type arrays made single', () => {
+    assert.deepEqual(toGeminiSchema({
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            note: { type: ['string', 'null'], description: 'Optional note', default: '' },
+            count: { type: ['integer'], minimum: 0 },
+            tags: { type: 'array', items: { type: ['null', 'string'], pattern: '^#' } }
+        },
+        required: ['count']
+    }), {
+        type: 'object',
+        properties: {
+            note: { type: 'string', description: 'Optional note', nullable: true },
+            count: { type: 'integer', minimum: 0 },
+            tags: { type: 'array', items: { type: 'string', nullable: true } }
+        },
+        required: ['count']
+    });
+});
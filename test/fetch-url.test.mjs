@@ -0,0 +1,104 @@
+// fetch_url against a local HTML stub server: readable-text extraction and
+// paging. Local URLs skip the AI Pipe proxy, so no network is needed.
+// Run with: node --test test/
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { APIConnector } from '../integration.js';
+import { CHARS_PER_TOKEN } from '../readable.js';
+
+const ARTICLE = `<!DOCTYPE html>
+<html>
+<head>
+    <title>Release notes &mdash; Example</title>
+    <style>body { color: red; }</style>
+    <script>window.tracker = 'secret-tracking-code';</script>
+</head>
+<body>
+    <nav><a href="/home">Home</a> <a href="/pricing">Pricing</a></nav>
+    <article>
+        <header><h1>Version 2.0 released</h1></header>
+        <p>The new version ships on <b>April&nbsp;24</b> with &quot;streaming&quot; support.</p>
+        <h2>Changes</h2>
+        <ul><li>Faster startup</li><li>See the <a href="/docs/upgrade?from=1">upgrade guide</a></li></ul>
+        <aside>Related: unrelated sidebar text</aside>
+    </article>
+    <footer>Copyright footer text</footer>
+</body>
+</html>`;
+
+const LONG_TEXT = 'abcdefghij'.repeat(25); // 250 characters
+
+const ROUTES = {
+    '/article': ['text/html; charset=utf-8', ARTICLE],
+    '/notes.txt': ['text/plain', LONG_TEXT],
+    '/report.pdf': ['application/pdf', '%PDF-1.7']
+};
+
+let server;
+let baseUrl;
+const connector = new APIConnector();
+
+before(async () => {
+    server = createServer((request, response) => {
+        const route = ROUTES[new URL(request.url, 'http://localhost').pathname];
+        if (!route) {
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            response.end('Not found');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': route[0] });
+        response.end(route[1]);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('extracts the article text, headings and absolute links', async () => {
+    const page = await connector.fetchPage(`${baseUrl}/article`);
+
+    assert.equal(page.title, 'Release notes — Example');
+    assert.deepEqual(page.headings, [
+        { level: 1, text: 'Version 2.0 released' },
+        { level: 2, text: 'Changes' }
+    ]);
+    assert.deepEqual(page.links, [{ text: 'upgrade guide', href: `${baseUrl}/docs/upgrade?from=1` }]);
+
+    assert.match(page.content, /^# Version 2\.0 released/);
+    assert.match(page.content, /ships on April 24 with "streaming" support\./);
+    assert.match(page.content, /- Faster startup/);
+    // Scripts, styles, navigation, sidebars and the page footer are dropped
+    for (const chrome of ['secret-tracking-code', 'color: red', 'Pricing', 'sidebar', 'Copyright']) {
+        assert.ok(!page.content.includes(chrome), `content should not include "${chrome}"`);
+    }
+    assert.equal(page.offset, 0);
+    assert.equal(page.next_offset, null);
+});
+
+test('pages long content by max_tokens and offset', async () => {
+    const maxTokens = 25;
+    const pageLength = maxTokens * CHARS_PER_TOKEN;
+
+    const first = await connector.fetchPage(`${baseUrl}/notes.txt`, { maxTokens });
+    assert.equal(first.content, LONG_TEXT.slice(0, pageLength));
+    assert.equal(first.total_length, LONG_TEXT.length);
+    assert.equal(first.next_offset, pageLength);
+    assert.deepEqual(first.links, []);
+
+    const second = await connector.fetchPage(`${baseUrl}/notes.txt`, { maxTokens, offset: first.next_offset });
+    assert.equal(second.content, LONG_TEXT.slice(pageLength, 2 * pageLength));
+    // Headings and links only come with the first page
+    assert.ok(!('links' in second));
+
+    const last = await connector.fetchPage(`${baseUrl}/notes.txt`, { maxTokens, offset: 2 * pageLength });
+    assert.equal(last.content, LONG_TEXT.slice(2 * pageLength));
+    assert.equal(last.next_offset, null);
+});
+
+test('rejects binary content and failed responses', async () => {
+    await assert.rejects(connector.fetchPage(`${baseUrl}/report.pdf`), /Unsupported content type: application\/pdf/);
+    await assert.rejects(connector.fetchPage(`${baseUrl}/missing`), /404/);
+});
@@ -0,0 +1,37 @@
+// Search backends: which requests may go through the AI Pipe proxy.
+// Run with: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { search } from '../search.js';
+
+// Records the fetcher calls and answers with an empty result page
+async function route(backend, values, fetchError = null) {
+    const calls = [];
+    const fetcher = async (url, init, { proxy }) => {
+        calls.push({ url, proxy });
+        if (fetchError) throw fetchError;
+        return new Response('{}');
+    };
+    await search(fetcher, { backend, settings: { [backend]: values } }, { query: 'q' });
+    return calls[0];
+}
+
+test('backends that allow CORS are called directly with their keys', async () => {
+    assert.equal((await route('google', { apiKey: 'k', cx: 'c' })).proxy, false);
+    assert.equal((await route('tavily', { apiKey: 'k' })).proxy, false);
+});
+
+test('keyed backends without CORS only use the proxy when opted in', async () => {
+    assert.equal((await route('brave', { apiKey: 'k' })).proxy, false);
+    assert.equal((await route('bing', { apiKey: 'k', useProxy: true })).proxy, true);
+    // SearXNG sends no key, so it is proxied as before
+    assert.equal((await route('searxng', { baseUrl: 'https://searx.example' })).proxy, true);
+});
+
+test('a blocked direct request explains how to enable the proxy', async () => {
+    await assert.rejects(
+        route('bing', { apiKey: 'k' }, new TypeError('Failed to fetch')),
+        /Bing Web Search could not be reached \(Failed to fetch\)\. .*AI Pipe proxy/
+    );
+});
@@ -0,0 +1,55 @@
+// Output schemas: only keywords the validator checks are accepted.
+// Run with: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseOutputSchema, checkStructuredReply } from '../structured.js';
+
+const objectSchema = (properties) => JSON.stringify({ type: 'object', properties });
+
+test('rejects each keyword the validator would skip, naming it and its path', () => {
+    const cases = {
+        anyOf: { anyOf: [{ type: 'string' }, { type: 'number' }] },
+        oneOf: { oneOf: [{ type: 'string' }] },
+        allOf: { allOf: [{ type: 'string' }] },
+        $ref: { $ref: '#/$defs/name' },
+        not: { not: { type: 'null' } },
+        format: { type: 'string', format: 'email' }
+    };
+    for (const [keyword, schema] of Object.entries(cases)) {
+        assert.throws(
+            () => parseOutputSchema(objectSchema({ field: schema })),
+            new RegExp(`unsupported keywords.*\\$\\.field: ${keyword.replace('$', '\\$')}`),
+            keyword
+        );
+    }
+});
+
+test('finds unsupported keywords in items and at the root', () => {
+    const schema = {
+        type: 'object',
+        $defs: {},
+        properties: { tags: { type: 'array', items: { type: 'string', format: 'uri' } } }
+    };
+    assert.throws(() => parseOutputSchema(JSON.stringify(schema)), /\$: \$defs, \$\.tags\[\]: format/);
+});
+
+test('accepts the supported subset and annotations, and validates pattern', () => {
+    const schema = parseOutputSchema(JSON.stringify({
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        title: 'Contact',
+        type: 'object',
+        properties: {
+            name: { type: 'string', description: 'Full name', minLength: 1 },
+            zip: { type: 'string', pattern: '^\\d{5}$' },
+            tags: { type: 'array', items: { enum: ['a', 'b'] }, maxItems: 2 }
+        },
+        required: ['name'],
+        additionalProperties: false
+    }));
+
+    assert.equal(checkStructuredReply(schema, '{"name":"Ada","zip":"12345","tags":["a"]}').valid, true);
+    const invalid = checkStructuredReply(schema, '{"name":"Ada","zip":"1234"}');
+    assert.equal(invalid.valid, false);
+    assert.deepEqual(invalid.errors, ['output.zip: must match /^\\d{5}$/']);
+});
@@ -0,0 +1,84 @@
+// Transcript export/import round trips and import validation.
+// Run with: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTranscript, toTranscriptJSON } from '../transcripts.js';
+
+const toolTurn = (id) => [
+    { role: 'user', content: 'What time is it?' },
+    { role: 'assistant', content: '', tool_calls: [{ id, type: 'function', function: { name: 'clock', arguments: '{}' } }] },
+    { role: 'tool', tool_call_id: id, content: '{"time":"12:00"}' },
+    { role: 'assistant', content: 'It is noon.' }
+];
+
+test('accepts provider-style tool call ids', () => {
+    for (const id of ['call_abc123', 'toolu_01A09q90qw90lq917835lq9', 'call-x']) {
+        const { messages } = parseTranscript(JSON.stringify({ messages: toolTurn(id) }));
+        assert.equal(messages[1].tool_calls[0].id, id);
+    }
+});
+
+test('rejects tool call ids that could break out of an HTML attribute', () => {
+    for (const id of ['"><img src=x onerror=alert(2)>', '', 'a b', 'x'.repeat(129)]) {
+        assert.throws(
+            () => parseTranscript(JSON.stringify({ messages: toolTurn(id) })),
+            /messages\[1\]\.tool_calls\[0\]\.id must be/
+        );
+    }
+});
+
+test('rejects a title, model or provider that is not a string', () => {
+    const messages = [{ role: 'user', content: 'Hi' }];
+    assert.throws(() => parseTranscript(JSON.stringify({ title: { toLowerCase: 1 }, messages })), /title must be a string/);
+    assert.throws(() => parseTranscript(JSON.stringify({ model: 4, messages })), /model must be a string/);
+    assert.equal(parseTranscript(JSON.stringify({ title: 'Chat', messages })).title, 'Chat');
+});
+
+test('JSON export round-trips messages and structured outputs', () => {
+    const session = {
+        title: 'Noon',
+        model: 'gpt-4o-mini',
+        provider: 'openai',
+        createdAt: 1760000000000,
+        messages: toolTurn('call_1'),
+        structuredOutputs: {
+            3: { data: { time: '12:00' }, valid: true, attempts: 1, native: true }
+        }
+    };
+
+    const imported = parseTranscript(toTranscriptJSON(session));
+    assert.deepEqual(imported, {
+        title: session.title,
+        model: session.model,
+        provider: session.provider,
+        messages: session.messages,
+        structuredOutputs: session.structuredOutputs
+    });
+});
+
+test('structured outputs follow their message when system messages are dropped', () => {
+    const invalid = { data: { time: 12 }, valid: false, errors: ['$.time: expected string, got integer'], attempts: 3, native: false };
+    const { messages, structuredOutputs } = parseTranscript(JSON.stringify({
+        messages: [{ role: 'system', content: 'Be brief.' }, ...toolTurn('call_1')],
+        structuredOutputs: { 4: invalid }
+    }));
+
+    assert.equal(messages[3].content, 'It is noon.');
+    assert.deepEqual(structuredOutputs, { 3: invalid });
+});
+
+test('rejects structured outputs that do not fit the transcript', () => {
+    const messages = toolTurn('call_1');
+    const output = { data: {}, valid: true, attempts: 1, native: false };
+    const cases = [
+        [{ 0: output }, /structuredOutputs\[0\] does not match an assistant message/],
+        [{ 9: output }, /structuredOutputs\[9\] does not match an assistant message/],
+        [{ 3: { ...output, attempts: '<b>1</b>' } }, /attempts must be a non-negative integer/],
+        [{ 3: { ...output, errors: 'bad' } }, /errors must be an array of strings/],
+        [[output], /structuredOutputs must be an object/]
+    ];
+    for (const [structuredOutputs, error] of cases) {
+        assert.throws(() => parseTranscript(JSON.stringify({ messages, structuredOutputs })), error);
+    }
+});
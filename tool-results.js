@@ -0,0 +1,179 @@
+// Tool result views for the tool cards
+// renderToolResult(name, result, helpers) returns the HTML for a tool-result
+// element: a status line with a copy button, a per-tool view and the raw JSON
+// in a collapsible <details>. Everything a tool or model produced is escaped;
+// helpers.markdown must escape raw HTML itself and helpers.highlight returns
+// escaped highlight.js markup.
+
+// Escape user- or model-provided text for use in innerHTML
+export const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const json = (value) => escapeHtml(JSON.stringify(value, null, 2));
+
+const truncate = (text, length) => {
+    text = String(text ?? '');
+    return text.length > length ? `${text.slice(0, length)}…` : text;
+};
+
+const webUrl = (url) => typeof url === 'string' && /^https?:\/\//i.test(url) ? url : null;
+
+const sourceBadge = (id) => id ? `<span class="badge text-bg-secondary ms-1">[${escapeHtml(id)}]</span>` : '';
+
+// Bootstrap badge colour per sandbox console level
+const LOG_LEVELS = {
+    log: 'secondary',
+    info: 'info',
+    warn: 'warning',
+    error: 'danger',
+    debug: 'light'
+};
+
+const section = (label, content) => `
+    <div class="small text-muted text-uppercase mt-2 mb-1">${label}</div>
+    ${content}
+`;
+
+const message = (text) => text ? `<div class="small text-muted">${escapeHtml(text)}</div>` : '';
+
+function linkCard({ title, link, snippet, display_link, source_id }) {
+    const url = webUrl(link);
+    const heading = url
+        ? `<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer" class="fw-semibold">${escapeHtml(title || url)}</a>`
+        : `<span class="fw-semibold">${escapeHtml(title || link || '')}</span>`;
+    return `
+        <div class="border rounded p-2 mb-2">
+            ${heading}${sourceBadge(source_id)}
+            ${display_link ? `<div class="small text-success">${escapeHtml(display_link)}</div>` : ''}
+            ${snippet ? `<div class="small">${escapeHtml(snippet)}</div>` : ''}
+        </div>
+    `;
+}
+
+// execute_javascript and analyze_data: code, console output, then the
+// returned value or error
+function executionView(result, { highlight }) {
+    const consoleOutput = result.console_output || [];
+    const lines = consoleOutput.map(({ level, message }) => `
+        <div class="d-flex align-items-start gap-2">
+            <span class="badge text-bg-${LOG_LEVELS[level] || 'secondary'}">${escapeHtml(level)}</span>
+            <span class="flex-fill text-break preserve-lines">${escapeHtml(message)}</span>
+        </div>
+    `).join('');
+
+    let outcome;
+    if (result.error) {
+        outcome = section('Error', `<div class="text-danger text-break">${escapeHtml(result.error)}</div>`);
+    } else if (result.display) {
+        // Filled in by LLMAgent.renderDisplay
+        outcome = section('Output', '<div class="tool-display"></div>');
+    } else {
+        outcome = section('Return value', `<pre class="mb-0">${json(result.result ?? null)}</pre>`);
+    }
+
+    return `
+        ${result.code ? section('Code', `<pre class="code-block mb-0"><code class="hljs language-javascript">${highlight(result.code, 'javascript')}</code></pre>`) : ''}
+        ${consoleOutput.length ? section('Console', `<div class="d-flex flex-column gap-1 small">${lines}</div>`) : ''}
+        ${outcome}
+    `;
+}
+
+// Per-tool views: (result, helpers) -> HTML. Tools without one show their JSON.
+const RENDERERS = {
+    google_search(result) {
+        const results = result.results || [];
+        if (!results.length) return message(result.message || 'No results found');
+
+        const start = result.start || 1;
+        const end = start + results.length - 1;
+        const total = result.total_results ? ` of about ${Number(result.total_results).toLocaleString()}` : '';
+        return `
+            ${results.map(linkCard).join('')}
+            <div class="small text-muted">Results ${escapeHtml(start)}–${escapeHtml(end)}${total}</div>
+        `;
+    },
+
+    fetch_url(result) {
+        const shown = result.offset + (result.content?.length || 0);
+        return `
+            ${linkCard({ title: result.title, link: result.url, display_link: webUrl(result.url) && new URL(result.url).hostname, source_id: result.source_id })}
+            <div class="small text-break preserve-lines">${escapeHtml(truncate(result.content, 600))}</div>
+            <div class="small text-muted mt-1">Characters ${escapeHtml(result.offset)}–${escapeHtml(shown)} of ${escapeHtml(result.total_length)}${result.next_offset != null ? ' · more available' : ''}</div>
+        `;
+    },
+
+    search_documents(result) {
+        const results = result.results || [];
+        if (!results.length) return message(result.message || 'No matching passages found');
+
+        return results.map(passage => `
+            <div class="border rounded p-2 mb-2">
+                <div class="small fw-semibold">
+                    <i class="bi bi-file-earmark-text me-1"></i>${escapeHtml(passage.file)}
+                    <span class="text-muted fw-normal">· ${passage.page ? `page ${escapeHtml(passage.page)}` : `line ${escapeHtml(passage.line)}`} · score ${escapeHtml(passage.score)}</span>
+                </div>
+                <div class="small text-break">${escapeHtml(truncate(passage.text, 300))}</div>
+            </div>
+        `).join('');
+    },
+
+    ai_pipe_workflow(result, { markdown }) {
+        // Structured workflows: the parsed object, flagged if it broke the schema
+        if ('valid' in result) {
+            return `
+                ${result.valid ? '' : `<div class="small text-warning mb-1"><i class="bi bi-exclamation-triangle me-1"></i>Output does not match the workflow schema: ${escapeHtml((result.schema_errors || []).join('; '))}</div>`}
+                <pre class="mb-0">${'data' in result ? json(result.data) : escapeHtml(result.result ?? '')}</pre>
+                <div class="small text-muted mt-1">${escapeHtml(result.workflow_type)} · structured output</div>
+            `;
+        }
+        return `<div class="text-break">${markdown(String(result.result ?? ''))}</div>`;
+    },
+
+    run_subagent(result, { markdown }) {
+        const tools = [...new Set((result.tools_used || []).map(tool => tool.name))];
+        return `
+            ${result.incomplete ? `<div class="small text-warning mb-1"><i class="bi bi-exclamation-triangle me-1"></i>${escapeHtml(result.message || 'Stopped before finishing')}</div>` : ''}
+            <div class="text-break">${markdown(String(result.answer ?? ''))}</div>
+            <div class="small text-muted">
+                ${escapeHtml(result.agent)} · ${escapeHtml(result.steps)} steps · ${Number(result.total_tokens || 0).toLocaleString()} tokens${tools.length ? ` · ${escapeHtml(tools.join(', '))}` : ''}
+            </div>
+        `;
+    },
+
+    execute_javascript: executionView,
+    analyze_data: executionView
+};
+
+export function renderToolResult(name, result, helpers) {
+    const failed = !result || Boolean(result.error) || result.success === false;
+    const renderer = RENDERERS[name];
+
+    let body;
+    if (!result || typeof result !== 'object') {
+        body = `<pre class="mb-0">${json(result ?? null)}</pre>`;
+    } else if (result.error && !result.code) {
+        // Tool errors, rejections and skipped calls share one view
+        body = `<div class="text-danger text-break">${escapeHtml(result.error)}</div>`;
+    } else {
+        body = renderer ? renderer(result, helpers) : `<pre class="mb-0">${json(result)}</pre>`;
+    }
+
+    return `
+        <div class="d-flex align-items-center gap-2 mb-2">
+            <i class="bi bi-${failed ? 'x-circle text-danger' : 'check-circle text-success'}"></i>
+            <span class="small ${failed ? 'text-danger' : 'text-success'}">${failed ? 'Failed' : 'Done'}</span>
+            <button type="button" class="btn btn-sm btn-outline-secondary ms-auto py-0" data-copy-result title="Copy result JSON">
+                <i class="bi bi-clipboard me-1"></i>Copy
+            </button>
+        </div>
+        ${body}
+        <details class="mt-2">
+            <summary class="small text-muted">Raw JSON</summary>
+            <pre class="mb-0 mt-1">${json(result ?? null)}</pre>
+        </details>
+    `;
+}
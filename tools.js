@@ -0,0 +1,256 @@
+// Tool registry shared by LLMAgent (agent.js) and ToolExecutor (integration.js)
+// Tools are described once and the OpenAI tools payload, the system-prompt tool
+// list and dispatch are all generated from the registry. Arguments are
+// validated against each tool's `parameters` schema before its handler runs.
+
+import { validate } from "./schema.js";
+import { SUB_AGENTS } from "./subagents.js";
+import { workflowTool } from "./workflows.js";
+
+// Built-in tool schemas. Handlers are attached by whoever registers them.
+export const BUILTIN_TOOLS = [
+    {
+        name: "google_search",
+        description: "Search the web for current information using the configured search backend (Google, SearXNG, Brave, Bing or Tavily)",
+        parameters: {
+            type: "object",
+            properties: {
+                query: {
+                    type: "string",
+                    description: "The search query to execute"
+                },
+                num_results: {
+                    type: "integer",
+                    description: "Number of results to return (1-10)",
+                    minimum: 1,
+                    maximum: 10,
+                    default: 5
+                },
+                start: {
+                    type: "integer",
+                    description: "1-based index of the first result, for paging (use next_start from a previous search)",
+                    minimum: 1,
+                    maximum: 91,
+                    default: 1
+                }
+            },
+            required: ["query"]
+        }
+    },
+    {
+        name: "fetch_url",
+        description: "Download a web page and return its readable text, headings and links. Long pages come back in chunks; call again with offset set to next_offset to keep reading.",
+        parameters: {
+            type: "object",
+            properties: {
+                url: {
+                    type: "string",
+                    description: "The http(s) URL to read",
+                    pattern: "^https?://"
+                },
+                offset: {
+                    type: "integer",
+                    description: "Character offset to start reading from (next_offset from a previous call)",
+                    minimum: 0,
+                    default: 0
+                },
+                max_tokens: {
+                    type: "integer",
+                    description: "Approximate token budget for the returned text (100-8000)",
+                    minimum: 100,
+                    maximum: 8000,
+                    default: 2000
+                }
+            },
+            required: ["url"]
+        }
+    },
+    {
+        name: "search_documents",
+        description: "Search the files the user uploaded (PDF, Markdown, CSV, JSON, text) and return the most relevant passages with file name and page or line references",
+        parameters: {
+            type: "object",
+            properties: {
+                query: {
+                    type: "string",
+                    description: "What to look for in the documents"
+                },
+                top_k: {
+                    type: "integer",
+                    description: "Number of passages to return (1-20)",
+                    minimum: 1,
+                    maximum: 20,
+                    default: 5
+                },
+                document: {
+                    type: "string",
+                    description: "Only search files whose name contains this text"
+                }
+            },
+            required: ["query"]
+        }
+    },
+    workflowTool(),
+    {
+        name: "execute_javascript",
+        description: "Execute JavaScript code in a sandboxed environment and return results",
+        parameters: {
+            type: "object",
+            properties: {
+                code: {
+                    type: "string",
+                    description: "JavaScript code to execute"
+                },
+                return_value: {
+                    type: "boolean",
+                    description: "Whether to return the result of the code execution",
+                    default: true
+                }
+            },
+            required: ["code"]
+        }
+    },
+    {
+        name: "analyze_data",
+        description: "Analyze the CSV/JSON files the user uploaded with JavaScript in the sandbox. " +
+            "`datasets[fileName]` holds parsed rows (arrays of objects). Helpers: summarize(rows, columns?) for " +
+            "per-column stats, groupBy(rows, keys, { name: [op, column] }) with ops count/sum/mean/min/max/median/distinct, " +
+            "table(rows, { columns, title }) to show a table, and chart(vegaLiteSpec) to show a chart " +
+            "(use data: { name: fileName } to chart a whole file, or data: { values } with at most 500 points). " +
+            "Return table(...) or chart(...) to display it; any other return value is sent back as JSON.",
+        parameters: {
+            type: "object",
+            properties: {
+                code: {
+                    type: "string",
+                    description: "JavaScript to run; use `return` for the result"
+                }
+            },
+            required: ["code"]
+        }
+    },
+    {
+        name: "run_subagent",
+        description: "Delegate a self-contained task to a specialised sub-agent and get back its final answer. " +
+            "researcher: searches the web and uploaded documents and reports findings with citations; " +
+            "coder: writes and runs JavaScript, including analysis of uploaded data; " +
+            "critic: reviews a draft answer, plan or claim for errors and gaps (no tools).",
+        parameters: {
+            type: "object",
+            properties: {
+                agent: {
+                    type: "string",
+                    enum: Object.keys(SUB_AGENTS),
+                    description: "Which sub-agent to run"
+                },
+                task: {
+                    type: "string",
+                    description: "Complete instructions; the sub-agent does not see this conversation"
+                },
+                context: {
+                    type: "string",
+                    description: "Material the sub-agent needs, e.g. the draft for the critic to review"
+                }
+            },
+            required: ["agent", "task"]
+        }
+    }
+];
+
+// Thrown for malformed or schema-violating arguments. The message is meant
+// for the model so it can fix the call and try again.
+export class ToolArgumentError extends Error {
+    constructor(toolName, errors) {
+        super(`Invalid arguments for ${toolName}: ${errors.join('; ')}. Fix the arguments and call the tool again.`);
+        this.name = 'ToolArgumentError';
+        this.errors = errors;
+    }
+}
+
+// Parse a tool call's JSON arguments string; an empty string means no arguments
+export function parseToolArguments(name, text) {
+    if (!text || !text.trim()) return {};
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new ToolArgumentError(name, [`arguments are not valid JSON (${error.message})`]);
+    }
+}
+
+export class ToolRegistry {
+    constructor() {
+        this.tools = new Map();
+    }
+
+    // Add or replace a tool. handler(params, context) may be async.
+    register({ name, description, parameters = { type: "object", properties: {} }, handler }) {
+        if (!name || !/^[a-zA-Z0-9_-]{1,64}$/.test(name)) {
+            throw new Error(`Invalid tool name: ${name}`);
+        }
+        if (typeof handler !== 'function') {
+            throw new Error(`Tool ${name} needs a handler function`);
+        }
+
+        this.tools.set(name, { name, description: description || '', parameters, handler });
+        return this;
+    }
+
+    unregister(name) {
+        return this.tools.delete(name);
+    }
+
+    has(name) {
+        return this.tools.has(name);
+    }
+
+    get(name) {
+        return this.tools.get(name);
+    }
+
+    list() {
+        return [...this.tools.values()];
+    }
+
+    // Tools payload in OpenAI function calling format
+    toFunctionDefinitions() {
+        return this.list().map(({ name, description, parameters }) => ({
+            type: "function",
+            function: { name, description, parameters }
+        }));
+    }
+
+    // Numbered Markdown list for the system prompt
+    describe() {
+        return this.list()
+            .map((tool, i) => `${i + 1}. **${tool.name}**: ${tool.description}`)
+            .join('\n');
+    }
+
+    // Check params against the tool's schema. Returns a copy with defaults
+    // filled in, or throws ToolArgumentError listing every problem.
+    validate(name, params) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            throw new Error(`Unknown tool: ${name}`);
+        }
+
+        const { valid, value, errors } = validate(tool.parameters, params, 'arguments');
+        if (!valid) {
+            throw new ToolArgumentError(name, errors);
+        }
+        return value;
+    }
+
+    // Parse and validate a raw JSON arguments string from a tool call
+    parseArguments(name, text) {
+        return this.validate(name, parseToolArguments(name, text));
+    }
+
+    async execute(name, params, context = {}) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            throw new Error(`Unknown tool: ${name}`);
+        }
+        return await tool.handler(this.validate(name, params), context);
+    }
+}
@@ -0,0 +1,229 @@
+// Conversation export and import
+// Three export formats:
+// - Markdown: readable report with tool calls and results
+// - JSON: lossless transcript in OpenAI `messages` format, plus the structured
+//   outputs keyed by assistant message index, that can be re-imported
+// - JSONL: one fine-tuning / eval record ({ messages, tools }) per line
+
+export const TRANSCRIPT_FORMAT = 'synapse-transcript';
+export const TRANSCRIPT_VERSION = 1;
+
+const ROLES = ['system', 'user', 'assistant', 'tool'];
+
+// Tool call ids become element ids in the chat, so imported ones are limited
+// to what providers generate
+const TOOL_CALL_ID = /^[\w-]{1,128}$/;
+
+const fence = (text, lang = '') => {
+    // Use a fence longer than any backtick run inside the text
+    const longest = Math.max(2, ...(String(text).match(/`+/g) || []).map(run => run.length));
+    const ticks = '`'.repeat(longest + 1);
+    return `${ticks}${lang}\n${text}\n${ticks}`;
+};
+
+const prettyJSON = (text) => {
+    try {
+        return JSON.stringify(JSON.parse(text), null, 2);
+    } catch {
+        return text;
+    }
+};
+
+export function toMarkdown({ title, model, provider, createdAt, messages }) {
+    const lines = [
+        `# ${title || 'Conversation'}`,
+        '',
+        `- **Model:** ${model || 'unknown'}`,
+        `- **Provider:** ${provider || 'unknown'}`,
+        `- **Date:** ${new Date(createdAt || Date.now()).toLocaleString()}`,
+        ''
+    ];
+
+    const toolResults = new Map(messages
+        .filter(message => message.role === 'tool')
+        .map(message => [message.tool_call_id, message.content]));
+
+    for (const message of messages) {
+        if (message.role === 'user' && !message.synthetic) {
+            lines.push('## 🧑 User', '', message.content, '');
+        } else if (message.role === 'assistant') {
+            if (message.content) {
+                lines.push('## 🤖 Agent', '', message.content, '');
+            }
+            for (const toolCall of message.tool_calls || []) {
+                lines.push(
+                    `### 🔧 Tool: \`${toolCall.function.name}\``,
+                    '',
+                    '**Arguments**',
+                    '',
+                    fence(prettyJSON(toolCall.function.arguments), 'json'),
+                    ''
+                );
+                if (toolResults.has(toolCall.id)) {
+                    lines.push('**Result**', '', fence(prettyJSON(toolResults.get(toolCall.id)), 'json'), '');
+                }
+            }
+        }
+    }
+
+    return lines.join('\n');
+}
+
+export function toTranscriptJSON({ title, model, provider, createdAt, messages, structuredOutputs = {} }) {
+    return JSON.stringify({
+        format: TRANSCRIPT_FORMAT,
+        version: TRANSCRIPT_VERSION,
+        title,
+        model,
+        provider,
+        createdAt,
+        messages,
+        ...(Object.keys(structuredOutputs).length && { structuredOutputs })
+    }, null, 2);
+}
+
+export function toJSONL({ messages }, { systemPrompt, tools = [] } = {}) {
+    const record = {
+        messages: [
+            ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+            ...messages.map(({ synthetic, ...message }) => message)
+        ],
+        ...(tools.length && { tools })
+    };
+    return `${JSON.stringify(record)}\n`;
+}
+
+// Check a list of OpenAI-format messages. Throws with the offending path.
+export function validateMessages(messages) {
+    if (!Array.isArray(messages)) {
+        throw new Error('messages must be an array');
+    }
+
+    const pendingToolCalls = new Set();
+
+    messages.forEach((message, i) => {
+        const path = `messages[${i}]`;
+
+        if (!message || typeof message !== 'object') {
+            throw new Error(`${path} must be an object`);
+        }
+        if (!ROLES.includes(message.role)) {
+            throw new Error(`${path}.role must be one of ${ROLES.join(', ')}`);
+        }
+
+        if (message.role === 'assistant') {
+            if (message.content !== null && message.content !== undefined && typeof message.content !== 'string') {
+                throw new Error(`${path}.content must be a string or null`);
+            }
+            if (message.tool_calls !== undefined) {
+                if (!Array.isArray(message.tool_calls)) {
+                    throw new Error(`${path}.tool_calls must be an array`);
+                }
+                message.tool_calls.forEach((toolCall, j) => {
+                    const callPath = `${path}.tool_calls[${j}]`;
+                    if (typeof toolCall?.id !== 'string' || !TOOL_CALL_ID.test(toolCall.id)) {
+                        throw new Error(`${callPath}.id must be 1-128 letters, digits, underscores or hyphens`);
+                    }
+                    if (typeof toolCall.function?.name !== 'string' || typeof toolCall.function?.arguments !== 'string') {
+                        throw new Error(`${callPath}.function needs string name and arguments`);
+                    }
+                    pendingToolCalls.add(toolCall.id);
+                });
+            }
+        } else if (typeof message.content !== 'string') {
+            throw new Error(`${path}.content must be a string`);
+        }
+
+        if (message.role === 'tool') {
+            if (!pendingToolCalls.has(message.tool_call_id)) {
+                throw new Error(`${path}.tool_call_id does not match an earlier tool call`);
+            }
+            pendingToolCalls.delete(message.tool_call_id);
+        }
+    });
+
+    return messages;
+}
+
+// Check structured outputs ({ [assistant message index]: { data, valid,
+// errors?, attempts, native } }) against the messages they belong to.
+export function validateStructuredOutputs(structuredOutputs, messages) {
+    if (!structuredOutputs || typeof structuredOutputs !== 'object' || Array.isArray(structuredOutputs)) {
+        throw new Error('structuredOutputs must be an object');
+    }
+
+    for (const [index, output] of Object.entries(structuredOutputs)) {
+        const path = `structuredOutputs[${index}]`;
+        if (!/^\d+$/.test(index) || messages[index]?.role !== 'assistant') {
+            throw new Error(`${path} does not match an assistant message`);
+        }
+        if (!output || typeof output !== 'object' || !('data' in output)) {
+            throw new Error(`${path} must be an object with data`);
+        }
+        if (typeof output.valid !== 'boolean' || typeof output.native !== 'boolean') {
+            throw new Error(`${path}.valid and .native must be booleans`);
+        }
+        if (!Number.isInteger(output.attempts) || output.attempts < 0) {
+            throw new Error(`${path}.attempts must be a non-negative integer`);
+        }
+        if (output.errors !== undefined && (!Array.isArray(output.errors) || !output.errors.every(error => typeof error === 'string'))) {
+            throw new Error(`${path}.errors must be an array of strings`);
+        }
+    }
+
+    return structuredOutputs;
+}
+
+// Parse an exported JSON transcript, a bare messages array, or the first
+// JSONL record. Returns { title, model, provider, messages, structuredOutputs }
+// with system messages removed, since the agent supplies its own system
+// prompt; structured outputs are re-keyed to match.
+export function parseTranscript(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        const firstLine = text.split('\n').find(line => line.trim());
+        try {
+            data = JSON.parse(firstLine);
+        } catch {
+            throw new Error('File is not valid JSON or JSONL');
+        }
+    }
+
+    if (data?.format && data.format !== TRANSCRIPT_FORMAT) {
+        throw new Error(`Unsupported transcript format: ${data.format}`);
+    }
+    if (data?.version > TRANSCRIPT_VERSION) {
+        throw new Error(`Transcript version ${data.version} is newer than supported (${TRANSCRIPT_VERSION})`);
+    }
+
+    const messages = validateMessages(Array.isArray(data) ? data : data?.messages);
+    for (const field of ['title', 'model', 'provider']) {
+        if (data[field] !== undefined && data[field] !== null && typeof data[field] !== 'string') {
+            throw new Error(`${field} must be a string`);
+        }
+    }
+
+    const structuredOutputs = data.structuredOutputs === undefined
+        ? {}
+        : validateStructuredOutputs(data.structuredOutputs, messages);
+
+    // Old index -> index once system messages are dropped
+    const newIndex = [];
+    let kept = 0;
+    messages.forEach((message, i) => {
+        if (message.role !== 'system') newIndex[i] = kept++;
+    });
+
+    return {
+        title: data.title,
+        model: data.model,
+        provider: data.provider,
+        messages: messages
+            .filter(message => message.role !== 'system')
+            .map(message => message.role === 'assistant' ? { ...message, content: message.content ?? '' } : message),
+        structuredOutputs: Object.fromEntries(Object.entries(structuredOutputs)
+            .map(([index, output]) => [newIndex[index], output]))
+    };
+}
@@ -0,0 +1,247 @@
+// Workflow library for the ai_pipe_workflow tool
+// A workflow is a named system prompt with its own model, temperature,
+// optional JSON output schema and few-shot examples. Users can override the
+// built-ins and add their own; LLMAgent (agent.js) and ToolExecutor
+// (integration.js) both build their AI Pipe requests from here. Listeners get
+// a 'change' event after every update.
+
+import { validate } from './schema.js';
+
+export const DEFAULT_WORKFLOW_MODEL = 'gpt-4o-mini';
+const WORKFLOW_MAX_TOKENS = 1500;
+const EXPORT_VERSION = 1;
+
+export const BUILTIN_WORKFLOWS = [
+    {
+        name: 'analysis',
+        description: 'In-depth analysis with insights and recommendations',
+        systemPrompt: 'You are an expert analyst. Analyze the provided data thoroughly and give clear insights and recommendations.'
+    },
+    {
+        name: 'summarization',
+        description: 'Comprehensive yet concise summaries',
+        systemPrompt: 'You are an expert summarizer. Create a comprehensive yet concise summary of the provided content.'
+    },
+    {
+        name: 'generation',
+        description: 'Content written from the input',
+        systemPrompt: 'You are a creative content generator. Generate high-quality, relevant content based on the input.'
+    },
+    {
+        name: 'classification',
+        description: 'Classify and categorize data',
+        systemPrompt: 'You are an expert classifier. Classify and categorize the provided data systematically.'
+    }
+].map(workflow => ({ model: DEFAULT_WORKFLOW_MODEL, temperature: 0.7, outputSchema: null, examples: [], ...workflow }));
+
+const WORKFLOW_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', pattern: '^[a-z][a-z0-9_]{0,39}$' },
+        description: { type: 'string', maxLength: 200, default: '' },
+        systemPrompt: { type: 'string', minLength: 1 },
+        model: { type: 'string', minLength: 1, default: DEFAULT_WORKFLOW_MODEL },
+        temperature: { type: 'number', minimum: 0, maximum: 2, default: 0.7 },
+        outputSchema: { type: ['object', 'null'], default: null },
+        examples: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    input: { type: 'string', minLength: 1 },
+                    output: { type: 'string', minLength: 1 }
+                },
+                required: ['input', 'output'],
+                additionalProperties: false
+            },
+            default: []
+        }
+    },
+    required: ['name', 'systemPrompt'],
+    additionalProperties: false
+};
+
+// Checked copy of a workflow definition with defaults filled in
+export function validateWorkflow(workflow) {
+    const { valid, value, errors } = validate(WORKFLOW_SCHEMA, workflow, 'workflow');
+    if (valid && value.outputSchema && value.outputSchema.type !== 'object') {
+        errors.push('workflow.outputSchema: the root schema must have type "object"');
+    }
+    if (errors.length) {
+        throw new Error(`Invalid workflow${workflow?.name ? ` "${workflow.name}"` : ''}: ${errors.join('; ')}`);
+    }
+    return value;
+}
+
+// Tool schema for ai_pipe_workflow; the enum lists the given workflows
+export function workflowTool(workflows = BUILTIN_WORKFLOWS) {
+    const descriptions = workflows.map(({ name, description }) => description ? `${name}: ${description}` : name);
+    return {
+        name: 'ai_pipe_workflow',
+        description: `Execute AI workflows using the AI Pipe proxy for complex processing. Workflows - ${descriptions.join('; ')}`,
+        parameters: {
+            type: 'object',
+            properties: {
+                workflow_type: {
+                    type: 'string',
+                    enum: workflows.map(workflow => workflow.name),
+                    description: 'Type of AI workflow to execute'
+                },
+                input_data: {
+                    type: 'string',
+                    description: 'Data to process through the workflow'
+                },
+                instructions: {
+                    type: 'string',
+                    description: 'Specific instructions for processing'
+                }
+            },
+            required: ['workflow_type', 'input_data']
+        }
+    };
+}
+
+// Chat messages for a run: system prompt, few-shot pairs, then the input
+export function workflowMessages(workflow, { input_data, instructions = '' }) {
+    let system = workflow.systemPrompt;
+    if (workflow.outputSchema) {
+        system += `\n\nReply with only a JSON object that matches this JSON Schema:\n${JSON.stringify(workflow.outputSchema)}`;
+    }
+    return [
+        { role: 'system', content: system },
+        ...workflow.examples.flatMap(({ input, output }) => [
+            { role: 'user', content: input },
+            { role: 'assistant', content: output }
+        ]),
+        { role: 'user', content: instructions ? `${instructions}\n\nData to process:\n${input_data}` : input_data }
+    ];
+}
+
+// OpenAI chat completions body for running a workflow
+export function workflowRequest(workflow, params) {
+    return {
+        model: workflow.model,
+        messages: workflowMessages(workflow, params),
+        temperature: workflow.temperature,
+        max_tokens: WORKFLOW_MAX_TOKENS,
+        ...(workflow.outputSchema && {
+            response_format: {
+                type: 'json_schema',
+                json_schema: { name: workflow.name, schema: workflow.outputSchema }
+            }
+        })
+    };
+}
+
+// Tool result from the model's reply. Structured workflows also return the
+// parsed object and whether it matched the output schema.
+export function workflowResult(workflow, content) {
+    const result = { workflow_type: workflow.name, result: content };
+    if (!workflow.outputSchema) return result;
+
+    let data;
+    try {
+        data = JSON.parse(content.trim().replace(/^```(?:json)?\s*|```$/g, ''));
+    } catch {
+        return { ...result, valid: false, schema_errors: ['output is not valid JSON'] };
+    }
+    const { valid, errors } = validate(workflow.outputSchema, data, 'output');
+    return { ...result, data, valid, ...(!valid && { schema_errors: errors }) };
+}
+
+export class WorkflowLibrary extends EventTarget {
+    constructor() {
+        super();
+        // User-defined workflows and overridden built-ins, by name
+        this.custom = new Map();
+    }
+
+    changed() {
+        this.dispatchEvent(new Event('change'));
+    }
+
+    isBuiltin(name) {
+        return BUILTIN_WORKFLOWS.some(workflow => workflow.name === name);
+    }
+
+    // A built-in the user has edited
+    isModified(name) {
+        return this.isBuiltin(name) && this.custom.has(name);
+    }
+
+    get(name) {
+        return this.custom.get(name) || BUILTIN_WORKFLOWS.find(workflow => workflow.name === name) || null;
+    }
+
+    // Built-ins first (with any overrides), then user-defined workflows
+    list() {
+        const builtins = BUILTIN_WORKFLOWS.map(workflow => this.custom.get(workflow.name) || workflow);
+        const added = [...this.custom.values()].filter(workflow => !this.isBuiltin(workflow.name));
+        return [...builtins, ...added];
+    }
+
+    // Add or replace a workflow; throws if the definition is invalid.
+    // Saving a built-in unchanged drops its override.
+    save(workflow) {
+        const value = validateWorkflow(workflow);
+        const builtin = BUILTIN_WORKFLOWS.find(({ name }) => name === value.name);
+        const unchanged = builtin && Object.keys(WORKFLOW_SCHEMA.properties)
+            .every(key => JSON.stringify(builtin[key]) === JSON.stringify(value[key]));
+        if (unchanged) {
+            this.custom.delete(value.name);
+        } else {
+            this.custom.set(value.name, value);
+        }
+        this.changed();
+        return value;
+    }
+
+    // Delete a user-defined workflow, or restore a built-in's defaults
+    remove(name) {
+        const removed = this.custom.delete(name);
+        if (removed) this.changed();
+        return removed;
+    }
+
+    // Saved form: only what differs from the defaults
+    toJSON() {
+        return [...this.custom.values()];
+    }
+
+    load(workflows = []) {
+        this.custom.clear();
+        workflows.forEach(workflow => {
+            try {
+                const value = validateWorkflow(workflow);
+                this.custom.set(value.name, value);
+            } catch (error) {
+                console.warn('Skipping saved workflow:', error.message);
+            }
+        });
+        this.changed();
+    }
+
+    export() {
+        return JSON.stringify({ version: EXPORT_VERSION, workflows: this.toJSON() }, null, 2);
+    }
+
+    // Add the workflows from an export (or a bare array of definitions).
+    // Nothing is imported unless every workflow is valid. Returns their names.
+    import(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not valid JSON (${error.message})`);
+        }
+        const workflows = Array.isArray(data) ? data : data?.workflows;
+        if (!Array.isArray(workflows)) {
+            throw new Error('Expected a "workflows" array');
+        }
+
+        const values = workflows.map(validateWorkflow);
+        values.forEach(value => this.custom.set(value.name, value));
+        this.changed();
+        return values.map(value => value.name);
+    }
+}